@@ -1,31 +1,67 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
-const dbPath = path.join(__dirname, 'collaboration-docs.db');
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'collaboration-docs.db');
 const db = new sqlite3.Database(dbPath);
 
+// Run a statement on the connection
+function run(text, params = []) {
+  return new Promise((resolve, reject) => {
+    // Convert $1, $2 to ? for SQLite
+    const sql = text.replace(/\$\d+/g, '?');
+    
+    // Determine execution method
+    // If it contains RETURNING or starts with SELECT (or WITH), use .all()
+    if (/^(SELECT|WITH)\b/i.test(text.trim()) || /RETURNING/i.test(text)) {
+      db.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve({ rows });
+      });
+    } else {
+      db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        // Return an object that mimics pg result to some extent
+        // For INSERT without RETURNING, pg returns rowCount
+        resolve({ rows: [], rowCount: this.changes, lastID: this.lastID });
+      });
+    }
+  });
+}
+
+// Every request shares the one connection, so while a transaction runs, all
+// other statements wait for it - otherwise they would end up inside it
+let transactionDone = null; // Promise, while a transaction runs
+
+async function query(text, params = []) {
+  while (transactionDone) await transactionDone;
+  return run(text, params);
+}
+
+// Run `work(query)` in a transaction: committed if it resolves, rolled back
+// if it throws. Statements of the transaction go through the `query` passed
+// to it; transactions run one at a time.
+async function transaction(work) {
+  while (transactionDone) await transactionDone;
+  let finish;
+  transactionDone = new Promise(resolve => { finish = resolve; });
+  try {
+    await run('BEGIN TRANSACTION');
+    try {
+      const result = await work(run);
+      await run('COMMIT');
+      return result;
+    } catch (err) {
+      await run('ROLLBACK');
+      throw err;
+    }
+  } finally {
+    transactionDone = null;
+    finish();
+  }
+}
+
 module.exports = {
-  query: (text, params = []) => {
-    return new Promise((resolve, reject) => {
-      // Convert $1, $2 to ? for SQLite
-      const sql = text.replace(/\$\d+/g, '?');
-      
-      // Determine execution method
-      // If it contains RETURNING or starts with SELECT, use .all()
-      if (text.trim().toUpperCase().startsWith('SELECT') || /RETURNING/i.test(text)) {
-        db.all(sql, params, (err, rows) => {
-          if (err) return reject(err);
-          resolve({ rows });
-        });
-      } else {
-        db.run(sql, params, function(err) {
-          if (err) return reject(err);
-          // Return an object that mimics pg result to some extent
-          // For INSERT without RETURNING, pg returns rowCount
-          resolve({ rows: [], rowCount: this.changes, lastID: this.lastID });
-        });
-      }
-    });
-  },
+  query,
+  transaction,
   close: () => db.close()
 };
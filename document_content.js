@@ -0,0 +1,251 @@
+const { getSchema, Mark } = require('@tiptap/core');
+const StarterKit = require('@tiptap/starter-kit').default;
+const Y = require('yjs');
+const { generateJSON, generateHTML } = require('@tiptap/html/server');
+const { prosemirrorJSONToYXmlFragment, yXmlFragmentToProsemirrorJSON } = require('@tiptap/y-tiptap');
+const { jsonToMarkdown, markdownToJSON } = require('./markdown');
+
+// Suggested changes (suggestion mode) are marks on the text they concern,
+// attributed to the user who proposed them. Mirrors the marks in src/main.js.
+const suggestionAttributes = {
+  userId: {
+    default: null,
+    parseHTML: element => Number(element.getAttribute('data-user-id')) || null,
+    renderHTML: attributes => ({ 'data-user-id': attributes.userId }),
+  },
+  author: {
+    default: null,
+    parseHTML: element => element.getAttribute('data-author'),
+    renderHTML: attributes => ({ 'data-author': attributes.author }),
+  },
+};
+
+const SuggestionInsertion = Mark.create({
+  name: 'suggestionInsertion',
+  inclusive: false,
+  addAttributes() {
+    return suggestionAttributes;
+  },
+  parseHTML() {
+    return [{ tag: 'ins[data-suggestion]' }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['ins', { 'data-suggestion': '', ...HTMLAttributes }, 0];
+  },
+});
+
+const SuggestionDeletion = Mark.create({
+  name: 'suggestionDeletion',
+  inclusive: false,
+  addAttributes() {
+    return suggestionAttributes;
+  },
+  parseHTML() {
+    return [{ tag: 'del[data-suggestion]' }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['del', { 'data-suggestion': '', ...HTMLAttributes }, 0];
+  },
+});
+
+// Same extensions as the editor in src/main.js, so the server-side schema
+// matches what clients write into the Y.Doc
+const extensions = [
+  StarterKit.configure({
+    undoRedo: false,
+  }),
+  SuggestionInsertion,
+  SuggestionDeletion,
+];
+
+const schema = getSchema(extensions);
+
+// Name of the Y.XmlFragment the Tiptap Collaboration extension binds to
+const FRAGMENT_NAME = 'default';
+
+function htmlToJSON(html) {
+  return generateJSON(html || '', extensions);
+}
+
+function jsonToHTML(json) {
+  return generateHTML(json, extensions);
+}
+
+// Read the document from a Y.Doc as ProseMirror JSON
+function yDocToJSON(ydoc) {
+  return yXmlFragmentToProsemirrorJSON(ydoc.getXmlFragment(FRAGMENT_NAME));
+}
+
+// Replace the content of a Y.Doc with the given ProseMirror JSON. The fragment
+// is diffed against the new content, so unchanged nodes are kept as they are.
+function setYDocJSON(ydoc, json, origin = null) {
+  const fragment = ydoc.getXmlFragment(FRAGMENT_NAME);
+  ydoc.transact(() => {
+    prosemirrorJSONToYXmlFragment(schema, json, fragment);
+  }, origin);
+}
+
+// The document as if every pending suggestion was rejected: suggested
+// insertions are dropped, suggested deletions are kept as plain text
+function withoutSuggestions(node) {
+  if (node.type === 'text') {
+    const marks = node.marks || [];
+    if (marks.some(mark => mark.type === 'suggestionInsertion')) return null;
+    const { marks: _, ...text } = node;
+    const kept = marks.filter(mark => mark.type !== 'suggestionDeletion');
+    return kept.length > 0 ? { ...text, marks: kept } : text;
+  }
+  if (!node.content) return node;
+  return { ...node, content: node.content.map(withoutSuggestions).filter(Boolean) };
+}
+
+// Text of a node with blocks on separate lines (e.g. for the search index)
+function blockText(node) {
+  if (node.type === 'text') return node.text;
+  if (node.type === 'hardBreak') return '\n';
+  const children = node.content || [];
+  const inline = children.some(child => child.type === 'text' || child.type === 'hardBreak');
+  return children.map(blockText).join(inline ? '' : '\n');
+}
+
+// A node in a form that compares equal for equal content: adjacent text nodes
+// with the same marks are merged (suggestions split the text around them), and
+// marks are sorted
+function normalizeNode(node) {
+  if (node.type === 'text') {
+    const { marks, ...text } = node;
+    if (!marks?.length) return text;
+    return { ...text, marks: [...marks].sort((a, b) => a.type.localeCompare(b.type)) };
+  }
+  if (!node.content) return node;
+  const content = [];
+  node.content.map(normalizeNode).forEach(child => {
+    const previous = content[content.length - 1];
+    if (child.type === 'text' && previous?.type === 'text' &&
+        JSON.stringify(previous.marks || []) === JSON.stringify(child.marks || [])) {
+      content[content.length - 1] = { ...previous, text: previous.text + child.text };
+    } else {
+      content.push(child);
+    }
+  });
+  return { ...node, content };
+}
+
+// The document without pending suggestions - text, structure, attributes and
+// marks - serialized for comparison
+function acceptedContent(json) {
+  return JSON.stringify(normalizeNode(withoutSuggestions(json)));
+}
+
+const SUGGESTION_MARKS = ['suggestionInsertion', 'suggestionDeletion'];
+
+// Suggestion marks of a text node
+function suggestionMarks(node) {
+  return (node.marks || []).filter(mark => SUGGESTION_MARKS.includes(mark.type));
+}
+
+function eachTextNode(node, callback) {
+  if (node.type === 'text') callback(node);
+  (node.content || []).forEach(child => eachTextNode(child, callback));
+}
+
+// The text suggested by users other than `userId`, in document order, with
+// the suggestion marks it carries, serialized for comparison. Text of the
+// user's own suggestions does not split it, so suggesting inside someone
+// else's suggestion leaves it unchanged.
+function othersSuggestions(json, userId) {
+  const runs = [];
+  eachTextNode(json, node => {
+    const others = suggestionMarks(node)
+      .filter(mark => mark.attrs?.userId !== userId)
+      .map(mark => [mark.type, mark.attrs?.userId ?? null, mark.attrs?.author ?? null])
+      .sort();
+    if (others.length === 0) return;
+    const key = JSON.stringify(others);
+    const previous = runs[runs.length - 1];
+    if (previous?.key === key) previous.text += node.text;
+    else runs.push({ key, text: node.text });
+  });
+  return JSON.stringify(runs);
+}
+
+// Whether applying an update to the Y.Doc only makes suggestions of `user`
+// (a suggester): the accepted content stays the same (no change that is not
+// marked as a suggestion, including changes to blocks and formatting, which
+// cannot be suggested), every suggestion mark of the user names them as its
+// author, and other users' suggestions stay as they are - suggesters can only
+// withdraw their own
+function isOwnSuggestion(ydoc, update, user) {
+  const copy = new Y.Doc();
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(ydoc));
+  const before = yDocToJSON(copy);
+  Y.applyUpdate(copy, update);
+  const after = yDocToJSON(copy);
+  copy.destroy();
+
+  if (acceptedContent(before) !== acceptedContent(after)) return false;
+  if (othersSuggestions(before, user.id) !== othersSuggestions(after, user.id)) return false;
+  let attributed = true;
+  eachTextNode(after, node => {
+    if (suggestionMarks(node).some(mark => mark.attrs?.userId === user.id && mark.attrs?.author !== user.username)) {
+      attributed = false;
+    }
+  });
+  return attributed;
+}
+
+function yDocToHTML(ydoc) {
+  return jsonToHTML(yDocToJSON(ydoc));
+}
+
+function setYDocHTML(ydoc, html, origin = null) {
+  setYDocJSON(ydoc, htmlToJSON(html), origin);
+}
+
+// Documents saved before the switch to Markdown contain the editor's HTML
+function isLegacyHTML(content) {
+  return /^\s*<(p|h[1-6]|ul|ol|blockquote|pre|hr|br|strong|em|s|u|code|a)[\s>\/]/i.test(content || '');
+}
+
+// Parse the content of document.md (Markdown, or legacy HTML) to ProseMirror JSON
+function parseStoredContent(content) {
+  return isLegacyHTML(content) ? htmlToJSON(content) : markdownToJSON(content);
+}
+
+// Normalize stored content (Markdown or legacy HTML) to Markdown
+function toMarkdown(content) {
+  return jsonToMarkdown(parseStoredContent(content));
+}
+
+// Pending suggestions are not part of the saved file
+function yDocToMarkdown(ydoc) {
+  return jsonToMarkdown(withoutSuggestions(yDocToJSON(ydoc)));
+}
+
+// Plain text of stored content (Markdown or legacy HTML)
+function toPlainText(content) {
+  return blockText(parseStoredContent(content));
+}
+
+function setYDocContent(ydoc, content, origin = null) {
+  setYDocJSON(ydoc, parseStoredContent(content), origin);
+}
+
+module.exports = {
+  extensions,
+  schema,
+  FRAGMENT_NAME,
+  htmlToJSON,
+  jsonToHTML,
+  yDocToJSON,
+  setYDocJSON,
+  withoutSuggestions,
+  isOwnSuggestion,
+  yDocToHTML,
+  setYDocHTML,
+  parseStoredContent,
+  toMarkdown,
+  toPlainText,
+  yDocToMarkdown,
+  setYDocContent,
+};
@@ -0,0 +1,318 @@
+// Export of stored document content (Markdown, or legacy HTML) to standalone
+// HTML, Markdown, DOCX and PDF. Everything is generated locally from the
+// ProseMirror JSON of the editor's schema (see document_content.js).
+const {
+  Document, Packer, Paragraph, TextRun, ExternalHyperlink, HeadingLevel,
+  LevelFormat, AlignmentType, BorderStyle, ShadingType,
+} = require('docx');
+const PDFDocument = require('pdfkit');
+const { parseStoredContent, jsonToHTML, toMarkdown } = require('./document_content');
+
+const EXPORT_FORMATS = {
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+};
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Inline content as runs of { text, marks } (mark types by name, plus the
+// link's href); hard breaks are runs with { hardBreak: true }
+function inlineRuns(nodes) {
+  return (nodes || []).map(node => {
+    if (node.type === 'hardBreak') return { hardBreak: true };
+    const marks = new Set((node.marks || []).map(mark => mark.type));
+    const link = (node.marks || []).find(mark => mark.type === 'link');
+    return { text: node.text || '', marks, href: link?.attrs?.href };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// HTML
+// ---------------------------------------------------------------------------
+
+function toStandaloneHTML(json, title) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.6; color: #202124; }
+  pre { background: #f1f3f4; padding: 12px; overflow-x: auto; }
+  code { font-family: "Courier New", monospace; }
+  blockquote { border-left: 3px solid #dadce0; margin-left: 0; padding-left: 16px; color: #5f6368; }
+</style>
+</head>
+<body>
+${jsonToHTML(json)}
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// DOCX
+// ---------------------------------------------------------------------------
+
+const DOCX_HEADINGS = [
+  HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6,
+];
+
+function docxRuns(nodes, extra = {}) {
+  return inlineRuns(nodes).map(run => {
+    if (run.hardBreak) return new TextRun({ break: 1 });
+    const textRun = new TextRun({
+      text: run.text,
+      bold: run.marks.has('bold') || undefined,
+      italics: run.marks.has('italic') || extra.italics,
+      strike: run.marks.has('strike') || undefined,
+      underline: run.marks.has('underline') || run.href ? {} : undefined,
+      font: run.marks.has('code') ? 'Courier New' : undefined,
+      color: run.href ? '1A73E8' : undefined,
+    });
+    return run.href ? new ExternalHyperlink({ link: run.href, children: [textRun] }) : textRun;
+  });
+}
+
+// Each ordered list gets its own numbering definition, so numbering restarts
+// with every list (at its `start`)
+function docxBlocks(nodes, context, numbering) {
+  const paragraphs = [];
+  const indent = context.quoteDepth > 0 ? { left: 720 * context.quoteDepth } : undefined;
+  const quoted = context.quoteDepth > 0
+    ? { border: { left: { style: BorderStyle.SINGLE, size: 12, color: 'DADCE0', space: 8 } } }
+    : {};
+
+  for (const node of nodes || []) {
+    switch (node.type) {
+      case 'paragraph':
+      case 'heading': {
+        const options = { children: docxRuns(node.content, { italics: context.quoteDepth > 0 || undefined }), ...quoted };
+        if (node.type === 'heading') options.heading = DOCX_HEADINGS[Math.min(Math.max(node.attrs?.level || 1, 1), 6) - 1];
+        if (context.listItem?.options) {
+          // Only the first block of a list item carries the bullet or number
+          Object.assign(options, context.listItem.options);
+          context.listItem.options = null;
+        } else if (context.listLevel >= 0) {
+          options.indent = { left: 720 * (context.listLevel + 1) };
+        } else if (indent) {
+          options.indent = indent;
+        }
+        paragraphs.push(new Paragraph(options));
+        break;
+      }
+      case 'blockquote':
+        paragraphs.push(...docxBlocks(node.content, { ...context, quoteDepth: context.quoteDepth + 1 }, numbering));
+        break;
+      case 'codeBlock': {
+        const lines = (node.content || []).map(child => child.text || '').join('').split('\n');
+        paragraphs.push(new Paragraph({
+          children: lines.map((line, i) => new TextRun({ text: line, font: 'Courier New', size: 20, break: i > 0 ? 1 : undefined })),
+          shading: { type: ShadingType.CLEAR, color: 'auto', fill: 'F1F3F4' },
+          indent,
+        }));
+        break;
+      }
+      case 'horizontalRule':
+        paragraphs.push(new Paragraph({
+          children: [],
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'DADCE0', space: 1 } },
+        }));
+        break;
+      case 'bulletList':
+      case 'orderedList': {
+        const level = context.listLevel + 1;
+        let reference = null;
+        if (node.type === 'orderedList') {
+          reference = `ordered-${numbering.length}`;
+          numbering.push({
+            reference,
+            levels: Array.from({ length: 9 }, (_, i) => ({
+              level: i,
+              format: LevelFormat.DECIMAL,
+              text: `%${i + 1}.`,
+              start: node.attrs?.start ?? 1,
+              alignment: AlignmentType.START,
+              style: { paragraph: { indent: { left: 720 * (i + 1), hanging: 360 } } },
+            })),
+          });
+        }
+        for (const item of node.content || []) {
+          const listItem = {
+            options: reference
+              ? { numbering: { reference, level: Math.min(level, 8) } }
+              : { bullet: { level: Math.min(level, 8) } },
+          };
+          paragraphs.push(...docxBlocks(item.content, { ...context, listLevel: level, listItem }, numbering));
+        }
+        break;
+      }
+      default:
+        if (node.content) paragraphs.push(...docxBlocks(node.content, context, numbering));
+    }
+  }
+  return paragraphs;
+}
+
+async function toDocx(json, title) {
+  const numbering = [];
+  const children = docxBlocks(json.content, { quoteDepth: 0, listLevel: -1, listItem: null }, numbering);
+  const document = new Document({
+    title,
+    creator: 'Collaboration Docs',
+    numbering: { config: numbering },
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(document);
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+// The standard PDF fonts need no font files, but only cover Latin-1 text
+const PDF_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  code: 'Courier',
+};
+const PDF_HEADING_SIZES = [22, 18, 15, 13, 12, 11];
+const PDF_TEXT_SIZE = 11;
+const PDF_INDENT = 20;
+
+function pdfFont(marks, bold) {
+  if (marks.has('code')) return PDF_FONTS.code;
+  const isBold = bold || marks.has('bold');
+  const isItalic = marks.has('italic');
+  if (isBold && isItalic) return PDF_FONTS.boldItalic;
+  if (isBold) return PDF_FONTS.bold;
+  if (isItalic) return PDF_FONTS.italic;
+  return PDF_FONTS.regular;
+}
+
+// Write one block of inline content at the given indent, optionally prefixed
+// with a list marker
+function pdfInline(pdf, nodes, { indent, size = PDF_TEXT_SIZE, bold = false, color = '#202124', marker = '' }) {
+  const x = pdf.page.margins.left + indent;
+  const width = pdf.page.width - pdf.page.margins.right - x;
+  const runs = inlineRuns(nodes).map(run => run.hardBreak ? { text: '\n', marks: new Set() } : run);
+  if (marker) runs.unshift({ text: marker, marks: new Set() });
+  if (runs.length === 0) runs.push({ text: ' ', marks: new Set() });
+
+  pdf.x = x;
+  runs.forEach((run, i) => {
+    pdf.font(pdfFont(run.marks, bold)).fontSize(size).fillColor(run.href ? '#1a73e8' : color);
+    pdf.text(run.text, {
+      width,
+      continued: i < runs.length - 1,
+      underline: run.marks.has('underline') || !!run.href,
+      strike: run.marks.has('strike'),
+      link: run.href || null,
+    });
+  });
+  pdf.moveDown(0.4);
+}
+
+function pdfBlocks(pdf, nodes, context) {
+  for (const node of nodes || []) {
+    const indent = PDF_INDENT * (context.quoteDepth + context.listLevel + 1);
+    switch (node.type) {
+      case 'paragraph':
+        pdfInline(pdf, node.content, { indent, color: context.quoteDepth > 0 ? '#5f6368' : undefined, marker: context.takeMarker() });
+        break;
+      case 'heading': {
+        const level = Math.min(Math.max(node.attrs?.level || 1, 1), 6);
+        pdf.moveDown(0.3);
+        pdfInline(pdf, node.content, { indent, size: PDF_HEADING_SIZES[level - 1], bold: true, marker: context.takeMarker() });
+        break;
+      }
+      case 'blockquote':
+        pdfBlocks(pdf, node.content, { ...context, quoteDepth: context.quoteDepth + 1 });
+        break;
+      case 'codeBlock': {
+        const text = (node.content || []).map(child => child.text || '').join('') || ' ';
+        const x = pdf.page.margins.left + indent;
+        const width = pdf.page.width - pdf.page.margins.right - x;
+        pdf.font(PDF_FONTS.code).fontSize(9.5);
+        const height = pdf.heightOfString(text, { width: width - 12 }) + 12;
+        if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom && height < pdf.page.height / 2) {
+          pdf.addPage();
+        }
+        // The background is only drawn when the block fits on the page
+        if (pdf.y + height <= pdf.page.height - pdf.page.margins.bottom) {
+          pdf.rect(x, pdf.y, width, height).fill('#f1f3f4');
+        }
+        pdf.fillColor('#202124').text(text, x + 6, pdf.y + 6, { width: width - 12 });
+        pdf.moveDown(0.8);
+        break;
+      }
+      case 'horizontalRule': {
+        const y = pdf.y + 4;
+        pdf.moveTo(pdf.page.margins.left, y).lineTo(pdf.page.width - pdf.page.margins.right, y)
+          .lineWidth(0.5).strokeColor('#dadce0').stroke();
+        pdf.y = y + 10;
+        break;
+      }
+      case 'bulletList':
+      case 'orderedList': {
+        let number = node.attrs?.start ?? 1;
+        for (const item of node.content || []) {
+          let marker = node.type === 'orderedList' ? `${number++}. ` : '• ';
+          pdfBlocks(pdf, item.content, {
+            ...context,
+            listLevel: context.listLevel + 1,
+            takeMarker: () => {
+              const taken = marker;
+              marker = '';
+              return taken;
+            },
+          });
+        }
+        break;
+      }
+      default:
+        if (node.content) pdfBlocks(pdf, node.content, context);
+    }
+  }
+}
+
+function toPdf(json, title) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title, Creator: 'Collaboration Docs' } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+    pdfBlocks(pdf, json.content, { quoteDepth: 0, listLevel: -1, takeMarker: () => '' });
+    pdf.end();
+  });
+}
+
+// Export stored content in one of EXPORT_FORMATS; resolves to the file's body
+// (string or Buffer)
+async function exportDocument(content, title, format) {
+  switch (format) {
+    case 'md':
+      return toMarkdown(content);
+    case 'html':
+      return toStandaloneHTML(parseStoredContent(content), title);
+    case 'docx':
+      return toDocx(parseStoredContent(content), title);
+    case 'pdf':
+      return toPdf(parseStoredContent(content), title);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportDocument,
+};
@@ -0,0 +1,170 @@
+// Import of uploaded files as document content. Markdown, HTML, DOCX and
+// plain text are converted to the editor's schema and stored as Markdown, like
+// everything the editor saves; zip archives are imported file by file.
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const mammoth = require('mammoth');
+const { htmlToJSON, toMarkdown } = require('./document_content');
+const { jsonToMarkdown } = require('./markdown');
+
+const IMPORT_TYPES = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.docx': 'docx',
+  '.txt': 'text',
+};
+
+// Limits for zip archives. The sizes in the archive's directory are checked
+// before anything is extracted, and since they can be forged, the bytes
+// actually decompressed are capped as well (per file and in total).
+const MAX_ZIP_ENTRIES = 200;
+const MAX_ZIP_SIZE = 50 * 1024 * 1024;
+const MAX_ZIP_FILE_SIZE = 20 * 1024 * 1024;
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const zipLimitsError = () => `Archives may hold at most ${MAX_ZIP_ENTRIES} files, ${MAX_ZIP_FILE_SIZE / 1024 / 1024} MB per file and ${MAX_ZIP_SIZE / 1024 / 1024} MB in total`;
+
+class ZipTooLargeError extends Error {}
+
+// Decompress a zip entry, stopping after `limit` bytes whatever size the
+// archive claims: throws a ZipTooLargeError beyond it
+function readZipEntry(entry, limit) {
+  if (entry.header.encrypted) throw new Error('Encrypted files are not supported');
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === ZIP_STORED) {
+    data = compressed;
+  } else if (entry.header.method === ZIP_DEFLATED) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: limit + 1 });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new ZipTooLargeError();
+      throw err;
+    }
+  } else {
+    throw new Error('Unsupported compression method');
+  }
+  if (data.length > limit) throw new ZipTooLargeError();
+  return data;
+}
+
+// Plain text: paragraphs are separated by blank lines, single line breaks are
+// kept as hard breaks. Nothing in it is read as Markdown.
+function textToJSON(text) {
+  const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/^\n+|\n+$/g, ''))
+    .filter(paragraph => paragraph.trim());
+  return {
+    type: 'doc',
+    content: paragraphs.map(paragraph => ({
+      type: 'paragraph',
+      content: paragraph.split('\n').flatMap((line, i) => [
+        ...(i > 0 ? [{ type: 'hardBreak' }] : []),
+        ...(line ? [{ type: 'text', text: line }] : []),
+      ]),
+    })),
+  };
+}
+
+// Convert one file to Markdown (null if its type is not supported)
+async function convertFile(fileName, buffer) {
+  switch (IMPORT_TYPES[path.extname(fileName).toLowerCase()]) {
+    case 'markdown':
+      return toMarkdown(buffer.toString('utf8'));
+    case 'html':
+      return jsonToMarkdown(htmlToJSON(buffer.toString('utf8')));
+    case 'docx': {
+      const { value: html } = await mammoth.convertToHtml({ buffer });
+      return jsonToMarkdown(htmlToJSON(html));
+    }
+    case 'text':
+      return jsonToMarkdown(textToJSON(buffer.toString('utf8')));
+    default:
+      return null;
+  }
+}
+
+function documentName(fileName) {
+  return path.basename(fileName, path.extname(fileName)).trim() || 'Untitled';
+}
+
+// Read an uploaded file, or every supported file in an uploaded zip archive,
+// as { file, name, content } documents. Files that cannot be imported are
+// listed in `skipped` as { file, error }.
+async function readImport(fileName, buffer) {
+  const documents = [];
+  const skipped = [];
+
+  const add = async (file, data) => {
+    try {
+      const content = await convertFile(file, data);
+      if (content === null) {
+        skipped.push({ file, error: 'Unsupported file type' });
+      } else {
+        documents.push({ file, name: documentName(file), content });
+      }
+    } catch (err) {
+      skipped.push({ file, error: `Could not be converted: ${err.message}` });
+    }
+  };
+
+  if (path.extname(fileName).toLowerCase() !== '.zip') {
+    await add(fileName, buffer);
+    return { documents, skipped };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries()
+      .filter(entry => !entry.isDirectory)
+      // Metadata added by macOS and hidden files
+      .filter(entry => !entry.entryName.startsWith('__MACOSX/') && !path.basename(entry.entryName).startsWith('.'));
+  } catch (err) {
+    skipped.push({ file: fileName, error: 'Not a valid zip archive' });
+    return { documents, skipped };
+  }
+  const size = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (entries.length > MAX_ZIP_ENTRIES || size > MAX_ZIP_SIZE ||
+      entries.some(entry => entry.header.size > MAX_ZIP_FILE_SIZE)) {
+    skipped.push({ file: fileName, error: zipLimitsError() });
+    return { documents, skipped };
+  }
+
+  // An archive that turns out to be larger than it claims is rejected as a
+  // whole, including the files read from it so far
+  let remaining = MAX_ZIP_SIZE;
+  for (const entry of entries) {
+    const file = `${fileName}/${entry.entryName}`;
+    if (!IMPORT_TYPES[path.extname(entry.entryName).toLowerCase()]) {
+      skipped.push({ file, error: 'Unsupported file type' });
+      continue;
+    }
+    let data;
+    try {
+      data = readZipEntry(entry, Math.min(MAX_ZIP_FILE_SIZE, remaining));
+    } catch (err) {
+      if (err instanceof ZipTooLargeError) {
+        return { documents: [], skipped: [{ file: fileName, error: zipLimitsError() }] };
+      }
+      skipped.push({ file, error: `Could not be extracted: ${err.message}` });
+      continue;
+    }
+    remaining -= data.length;
+    if (data.length !== entry.header.size) {
+      skipped.push({ file, error: 'Could not be extracted: The file is damaged' });
+      continue;
+    }
+    await add(file, data);
+  }
+  return { documents, skipped };
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  readImport,
+};
@@ -0,0 +1,81 @@
+// Serialized work on a document's files and repository. Jobs of a document
+// (file writes, commits, rollbacks, merges, compaction, deletion) run one at a
+// time in the order they were queued; jobs of different documents run side by
+// side. A job must not queue a job of its own document and wait for it, as
+// that one only starts once the first has finished.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const queues = new Map(); // key -> { tail, size }
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Queue `job` (an async function) for `key`. Resolves or rejects with the
+// job's result. A failing job is run again up to `retries` times if
+// `retryIf(err)` allows it, waiting `retryDelayMs` (doubled every attempt).
+function enqueueJob(key, label, job, { retries = 0, retryDelayMs = 500, retryIf = () => true } = {}) {
+  key = String(key);
+  const queue = queues.get(key) || { tail: Promise.resolve(), size: 0 };
+  queues.set(key, queue);
+  queue.size++;
+
+  const run = async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await job();
+      } catch (err) {
+        if (attempt >= retries || !retryIf(err)) throw err;
+        console.warn(`Document ${key}: ${label} failed, retrying (${attempt + 1}/${retries}):`, err.message);
+        await sleep(retryDelayMs * 2 ** attempt);
+      }
+    }
+  };
+
+  const result = queue.tail.then(run);
+  queue.tail = result.catch(() => {}).finally(() => {
+    queue.size--;
+    if (queue.size === 0 && queues.get(key) === queue) queues.delete(key);
+  });
+  return result;
+}
+
+// Resolves once the jobs queued for `key` so far have finished
+function whenIdle(key) {
+  return queues.get(String(key))?.tail || Promise.resolve();
+}
+
+// Resolves once no jobs are queued for any document, including the ones
+// queued by other jobs in the meantime
+async function whenAllIdle() {
+  while (queues.size > 0) {
+    await Promise.all([...queues.values()].map(queue => queue.tail));
+  }
+}
+
+// Write a file through a temporary file next to it, which is then renamed
+// over it: readers (and git) see either the old or the new content, never a
+// partly written file
+async function writeFileAtomic(fullPath, content) {
+  const tempPath = path.join(path.dirname(fullPath), `.${path.basename(fullPath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, fullPath);
+  } catch (err) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  whenIdle,
+  whenAllIdle,
+  writeFileAtomic,
+};
@@ -0,0 +1,701 @@
+// Markdown <-> ProseMirror JSON conversion for the editor's schema
+// (StarterKit: paragraphs, headings, lists, blockquotes, code blocks,
+// horizontal rules, hard breaks, bold/italic/strike/underline/code/link).
+//
+// The output is CommonMark with GFM strikethrough. Underline has no Markdown
+// syntax and is written as <u>...</u>, the only inline HTML that is parsed.
+
+// ---------------------------------------------------------------------------
+// Serializer (ProseMirror JSON -> Markdown)
+// ---------------------------------------------------------------------------
+
+// Marks are opened in this order and closed in reverse
+const MARK_ORDER = ['link', 'bold', 'italic', 'strike', 'underline'];
+
+const MARK_DELIMITERS = {
+  bold: { open: () => '**', close: () => '**' },
+  italic: { open: () => '*', close: () => '*' },
+  strike: { open: () => '~~', close: () => '~~' },
+  underline: { open: () => '<u>', close: () => '</u>' },
+  link: {
+    open: () => '[',
+    close: (mark) => {
+      // Destinations with spaces or parentheses need the <...> form
+      const raw = mark.attrs?.href || '';
+      const href = /[\s()<>]/.test(raw) ? `<${raw.replace(/[<>]/g, encodeURIComponent)}>` : raw;
+      const title = mark.attrs?.title ? ` "${mark.attrs.title.replace(/"/g, '\\"')}"` : '';
+      return `](${href}${title})`;
+    },
+  },
+};
+
+function escapeText(text) {
+  return text.replace(/[\\`*_~[\]<]/g, '\\$&');
+}
+
+// Escape characters that would start a block construct at the start of a line
+function escapeLineStart(line) {
+  return line
+    .replace(/^(\s*)([#>+=-])/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+}
+
+function markKey(mark) {
+  return mark.type === 'link' ? `link:${mark.attrs?.href}:${mark.attrs?.title || ''}` : mark.type;
+}
+
+function sortedMarks(marks) {
+  return (marks || [])
+    .filter(mark => MARK_ORDER.includes(mark.type))
+    .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+}
+
+function sameMarks(a, b) {
+  return a.length === b.length && a.every((mark, i) => markKey(mark) === markKey(b[i]));
+}
+
+function commonMarks(a, b) {
+  const keys = new Set(b.map(markKey));
+  return a.filter(mark => keys.has(markKey(mark)));
+}
+
+function serializeCode(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const pad = /^`|`$/.test(text) || (/^ .* $/.test(text) && text.trim()) ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+// Split inline content into segments of { marks, text | code | hardBreak }.
+// Leading/trailing whitespace is moved out of marks it would otherwise
+// open or close, since "** bold**" is not emphasis in Markdown.
+function inlineSegments(nodes) {
+  const segments = [];
+  for (const node of nodes || []) {
+    if (node.type === 'hardBreak') {
+      segments.push({ marks: [], hardBreak: true });
+    } else if (node.type === 'text') {
+      const marks = sortedMarks(node.marks);
+      const isCode = (node.marks || []).some(mark => mark.type === 'code');
+      // Newlines inside text nodes become hard breaks
+      node.text.split('\n').forEach((part, i) => {
+        if (i > 0) segments.push({ marks: [], hardBreak: true });
+        if (part) segments.push(isCode ? { marks, code: part } : { marks, text: part });
+      });
+    }
+  }
+
+  const result = [];
+  segments.forEach((segment, i) => {
+    if (segment.text === undefined || segment.marks.length === 0) {
+      result.push(segment);
+      return;
+    }
+    const prevMarks = segments[i - 1]?.marks || [];
+    const nextMarks = segments[i + 1]?.marks || [];
+    const [, lead, body, trail] = segment.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (lead) result.push({ marks: commonMarks(segment.marks, prevMarks), text: lead });
+    if (body) result.push({ marks: segment.marks, text: body });
+    if (trail) result.push({ marks: commonMarks(segment.marks, nextMarks), text: trail });
+  });
+  return result;
+}
+
+function serializeInline(nodes) {
+  let out = '';
+  let open = [];
+
+  const closeTo = (depth) => {
+    while (open.length > depth) {
+      const mark = open.pop();
+      out += MARK_DELIMITERS[mark.type].close(mark);
+    }
+  };
+
+  // A hard break at the end of a block would be read back as a literal
+  // backslash, so trailing breaks (and whitespace after them) are dropped
+  const segments = inlineSegments(nodes);
+  while (segments.length && (segments[segments.length - 1].hardBreak || segments[segments.length - 1].text?.trim() === '')) {
+    segments.pop();
+  }
+
+  for (const segment of segments) {
+    let keep = 0;
+    while (keep < open.length && keep < segment.marks.length &&
+           markKey(open[keep]) === markKey(segment.marks[keep])) {
+      keep++;
+    }
+    closeTo(keep);
+    for (const mark of segment.marks.slice(keep)) {
+      out += MARK_DELIMITERS[mark.type].open(mark);
+      open.push(mark);
+    }
+
+    if (segment.hardBreak) out += '\\\n';
+    else if (segment.code !== undefined) out += serializeCode(segment.code);
+    else out += escapeText(segment.text);
+  }
+  closeTo(0);
+
+  return out.split('\n').map(escapeLineStart).join('\n');
+}
+
+function indentLines(text, firstPrefix, restPrefix) {
+  return text.split('\n')
+    .map((line, i) => {
+      if (i === 0) return firstPrefix + line;
+      return line ? restPrefix + line : line;
+    })
+    .join('\n');
+}
+
+function serializeList(node, bulletChar, orderedDelimiter) {
+  const items = node.content || [];
+  const start = node.attrs?.start ?? 1;
+  const markers = items.map((item, i) => node.type === 'orderedList'
+    ? `${start + i}${orderedDelimiter} `
+    : `${bulletChar} `);
+
+  // Tight list unless an item holds more than a paragraph and nested lists
+  const tight = items.every(item => (item.content || []).every((child, i) =>
+    i === 0 ? child.type === 'paragraph' : child.type === 'bulletList' || child.type === 'orderedList'));
+
+  return items.map((item, i) => {
+    const body = serializeBlocks(item.content || [], tight ? '\n' : '\n\n');
+    return indentLines(body, markers[i], ' '.repeat(markers[i].length));
+  }).join(tight ? '\n' : '\n\n');
+}
+
+function serializeBlock(node, context) {
+  switch (node.type) {
+    case 'paragraph':
+      return serializeInline(node.content);
+    case 'heading': {
+      const level = Math.min(Math.max(node.attrs?.level || 1, 1), 6);
+      // Headings are a single line; a trailing "#" would read as a closing sequence
+      const text = serializeInline(node.content).replace(/\\\n/g, ' ').replace(/#$/, '\\#');
+      return `${'#'.repeat(level)} ${text}`;
+    }
+    case 'blockquote':
+      return indentLines(serializeBlocks(node.content || []), '> ', '> ')
+        .split('\n').map(line => line || '>').join('\n');
+    case 'codeBlock': {
+      const text = (node.content || []).map(child => child.text || '').join('');
+      const longestRun = Math.max(2, ...(text.match(/^ {0,3}`+/gm) || []).map(run => run.trim().length));
+      const fence = '`'.repeat(longestRun + 1);
+      return `${fence}${node.attrs?.language || ''}\n${text}\n${fence}`;
+    }
+    case 'horizontalRule':
+      return '---';
+    case 'bulletList':
+      return serializeList(node, context.bulletChar, '.');
+    case 'orderedList':
+      return serializeList(node, '-', context.orderedDelimiter);
+    default:
+      // Unknown nodes: keep their text content
+      return node.content ? serializeBlocks(node.content) : escapeText(node.text || '');
+  }
+}
+
+function serializeBlocks(nodes, separator = '\n\n') {
+  const parts = [];
+  let previous = null;
+  const context = { bulletChar: '-', orderedDelimiter: '.' };
+  for (const node of nodes) {
+    // Adjacent lists of the same kind would merge into one when parsed -
+    // switching the marker character keeps them separate
+    if (previous?.type === node.type && node.type === 'bulletList') {
+      context.bulletChar = context.bulletChar === '-' ? '*' : '-';
+    } else if (previous?.type === node.type && node.type === 'orderedList') {
+      context.orderedDelimiter = context.orderedDelimiter === '.' ? ')' : '.';
+    } else {
+      context.bulletChar = '-';
+      context.orderedDelimiter = '.';
+    }
+    parts.push(serializeBlock(node, context));
+    previous = node;
+  }
+  return parts.join(separator);
+}
+
+// Convert a ProseMirror JSON document to Markdown
+function jsonToMarkdown(doc) {
+  // Drop empty paragraphs - Markdown has no way to represent them
+  const content = (doc?.content || []).filter(node =>
+    !(node.type === 'paragraph' && !(node.content || []).length));
+  const markdown = serializeBlocks(content);
+  return markdown ? `${markdown}\n` : '';
+}
+
+// ---------------------------------------------------------------------------
+// Parser (Markdown -> ProseMirror JSON)
+// ---------------------------------------------------------------------------
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*)|[ \t]*$)/;
+
+function isBlank(line) {
+  return /^\s*$/.test(line);
+}
+
+function matchListItem(line) {
+  const match = line.match(LIST_ITEM);
+  if (!match || THEMATIC_BREAK.test(line)) return null;
+  const [, indent, marker, spacing = '', rest = ''] = match;
+  const ordered = /\d/.test(marker[0]);
+  // More than 4 spaces after the marker means indented content, keep one
+  const gap = spacing.length > 4 || !rest ? 1 : spacing.length;
+  return {
+    ordered,
+    marker: ordered ? marker.slice(-1) : marker,
+    start: ordered ? parseInt(marker, 10) : null,
+    contentIndent: indent.length + marker.length + gap,
+    firstLine: spacing.length > 4 ? ' '.repeat(spacing.length - 1) + rest : rest,
+  };
+}
+
+// Whether a line can interrupt a paragraph
+function startsBlock(line) {
+  if (ATX_HEADING.test(line) || FENCE_OPEN.test(line) || THEMATIC_BREAK.test(line) ||
+      BLOCKQUOTE.test(line)) {
+    return true;
+  }
+  const item = matchListItem(line);
+  return !!item && item.firstLine.trim() !== '' && (!item.ordered || item.start === 1);
+}
+
+function stripIndent(line, width) {
+  let removed = 0;
+  let i = 0;
+  while (i < line.length && removed < width && (line[i] === ' ' || line[i] === '\t')) {
+    removed += line[i] === '\t' ? 4 : 1;
+    i++;
+  }
+  return line.slice(i);
+}
+
+function indentWidth(line) {
+  const match = line.match(/^[ \t]*/)[0];
+  return [...match].reduce((width, c) => width + (c === '\t' ? 4 : 1), 0);
+}
+
+function paragraph(content) {
+  return content.length ? { type: 'paragraph', content } : { type: 'paragraph' };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = line.match(FENCE_OPEN);
+    if (fence) {
+      const [, indent, marker, language] = fence;
+      const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(stripIndent(lines[i], indent.length));
+        i++;
+      }
+      i++; // closing fence (or end of input)
+      const text = code.join('\n');
+      blocks.push({
+        type: 'codeBlock',
+        attrs: { language: language || null },
+        ...(text ? { content: [{ type: 'text', text }] } : {}),
+      });
+      continue;
+    }
+
+    // ATX heading
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      blocks.push({
+        type: 'heading',
+        attrs: { level: heading[1].length },
+        ...inlineContent(heading[2] || ''),
+      });
+      i++;
+      continue;
+    }
+
+    // Horizontal rule
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push({ type: 'horizontalRule' });
+      i++;
+      continue;
+    }
+
+    // Blockquote
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length) {
+        if (BLOCKQUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+        } else if (!isBlank(lines[i]) && !isBlank(quoted[quoted.length - 1]) && !startsBlock(lines[i])) {
+          quoted.push(lines[i]); // lazy paragraph continuation
+        } else {
+          break;
+        }
+        i++;
+      }
+      const content = parseBlocks(quoted);
+      blocks.push({ type: 'blockquote', content: content.length ? content : [paragraph([])] });
+      continue;
+    }
+
+    // Lists
+    const first = matchListItem(line);
+    if (first) {
+      const items = [];
+      let item = first;
+      while (item) {
+        const itemLines = [item.firstLine];
+        i++;
+        while (i < lines.length) {
+          const next = lines[i];
+          if (isBlank(next)) {
+            itemLines.push('');
+          } else if (indentWidth(next) >= item.contentIndent) {
+            itemLines.push(stripIndent(next, item.contentIndent));
+          } else if (!isBlank(itemLines[itemLines.length - 1]) && !startsBlock(next) && !matchListItem(next)) {
+            itemLines.push(next); // lazy paragraph continuation
+          } else {
+            break;
+          }
+          i++;
+        }
+
+        let content = parseBlocks(itemLines);
+        if (content[0]?.type !== 'paragraph') content = [paragraph([]), ...content];
+        items.push({ type: 'listItem', content });
+
+        // Next item of the same list (blank lines between items allowed)
+        let j = i;
+        while (j < lines.length && isBlank(lines[j])) j++;
+        const sibling = j < lines.length ? matchListItem(lines[j]) : null;
+        if (sibling && sibling.ordered === first.ordered && sibling.marker === first.marker) {
+          i = j;
+          item = sibling;
+        } else {
+          item = null;
+        }
+      }
+
+      blocks.push(first.ordered
+        ? { type: 'orderedList', attrs: { start: first.start }, content: items }
+        : { type: 'bulletList', content: items });
+      continue;
+    }
+
+    // Paragraph
+    const paragraphLines = [line];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+      paragraphLines.push(lines[i]);
+      i++;
+    }
+    blocks.push({ type: 'paragraph', ...inlineContent(paragraphLines.join('\n').trim()) });
+  }
+
+  return blocks;
+}
+
+// --- Inline parsing ---
+
+const PUNCTUATION = /[!-/:-@[-`{-~\u2000-\u206F\u2E00-\u2E7F]/;
+
+function isWhitespace(c) {
+  return c === undefined || /\s/.test(c);
+}
+
+function isPunctuation(c) {
+  return c !== undefined && PUNCTUATION.test(c);
+}
+
+function inlineContent(text) {
+  const content = parseInline(text);
+  return content.length ? { content } : {};
+}
+
+// Items are either { nodes: [...] } (parsed inline JSON) or delimiter runs
+// { delim, count, canOpen, canClose } resolved by processEmphasis()
+function tokenizeInline(text) {
+  const items = [];
+  let buffer = '';
+
+  const flush = () => {
+    if (buffer) items.push({ nodes: [{ type: 'text', text: buffer }] });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+
+    // Backslash escapes and backslash hard breaks
+    if (c === '\\') {
+      if (text[i + 1] === '\n') {
+        flush();
+        items.push({ nodes: [{ type: 'hardBreak' }] });
+        i += 2;
+        while (text[i] === ' ' || text[i] === '\t') i++;
+        continue;
+      }
+      if (isPunctuation(text[i + 1]) && text[i + 1].charCodeAt(0) < 128) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+    }
+
+    // Line breaks: two trailing spaces make a hard break, otherwise a space
+    if (c === '\n') {
+      const hard = / {2,}$/.test(buffer);
+      buffer = buffer.replace(/[ \t]+$/, '');
+      if (hard) {
+        flush();
+        items.push({ nodes: [{ type: 'hardBreak' }] });
+      } else {
+        buffer += ' ';
+      }
+      i++;
+      while (text[i] === ' ' || text[i] === '\t') i++;
+      continue;
+    }
+
+    // Code spans
+    if (c === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      let j = i + run.length;
+      let end = -1;
+      while (j < text.length) {
+        const next = text.slice(j).match(/^`+/);
+        if (next) {
+          if (next[0].length === run.length) {
+            end = j;
+            break;
+          }
+          j += next[0].length;
+        } else {
+          j++;
+        }
+      }
+      if (end === -1) {
+        buffer += run;
+        i += run.length;
+        continue;
+      }
+      let code = text.slice(i + run.length, end).replace(/\n/g, ' ');
+      if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+      flush();
+      items.push({ nodes: code ? [{ type: 'text', text: code, marks: [{ type: 'code' }] }] : [] });
+      i = end + run.length;
+      continue;
+    }
+
+    // Underline (<u>...</u>) and autolinks (<https://...>)
+    if (c === '<') {
+      const tag = text.slice(i).match(/^<(\/?)u>/i);
+      if (tag) {
+        flush();
+        items.push({ delim: 'u', count: 1, canOpen: !tag[1], canClose: !!tag[1] });
+        i += tag[0].length;
+        continue;
+      }
+      const autolink = text.slice(i).match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^<>\s]*)>/);
+      if (autolink) {
+        flush();
+        items.push({ nodes: [{ type: 'text', text: autolink[1], marks: [{ type: 'link', attrs: { href: autolink[1] } }] }] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    // Links: [text](href "title")
+    if (c === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        flush();
+        const mark = { type: 'link', attrs: { href: link.href, ...(link.title ? { title: link.title } : {}) } };
+        items.push({ nodes: addMark(parseInline(link.text), mark) });
+        i = link.end;
+        continue;
+      }
+    }
+
+    // Emphasis delimiter runs
+    if (c === '*' || c === '_' || c === '~') {
+      const run = text.slice(i).match(c === '*' ? /^\*+/ : c === '_' ? /^_+/ : /^~+/)[0];
+      const before = i > 0 ? text[i - 1] : undefined;
+      const after = text[i + run.length];
+      const leftFlanking = !isWhitespace(after) &&
+        (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+      const rightFlanking = !isWhitespace(before) &&
+        (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+      let canOpen = leftFlanking;
+      let canClose = rightFlanking;
+      if (c === '_') {
+        canOpen = leftFlanking && (!rightFlanking || isPunctuation(before));
+        canClose = rightFlanking && (!leftFlanking || isPunctuation(after));
+      }
+      flush();
+      items.push({ delim: c, count: run.length, canOpen, canClose });
+      i += run.length;
+      continue;
+    }
+
+    buffer += c;
+    i++;
+  }
+  flush();
+  return items;
+}
+
+// Find "[text](destination "title")" starting at text[start] === '['
+function matchLink(text, start) {
+  let depth = 0;
+  let i = start;
+  for (; i < text.length; i++) {
+    const c = text[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const close = text.indexOf(run, i + run.length);
+      if (close !== -1) i = close + run.length - 1;
+    } else if (c === '[') {
+      depth++;
+    } else if (c === ']') {
+      depth--;
+      if (depth === 0) break;
+    }
+  }
+  if (depth !== 0 || text[i + 1] !== '(') return null;
+
+  const rest = text.slice(i + 2);
+  const target = rest.match(/^[ \t\n]*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:[ \t\n]+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'))?[ \t\n]*\)/);
+  if (!target) return null;
+
+  let href = target[1];
+  if (href.startsWith('<')) href = href.slice(1, -1);
+  href = href.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+  const title = target[2] ? target[2].slice(1, -1).replace(/\\([!-/:-@[-`{-~])/g, '$1') : null;
+
+  return {
+    text: text.slice(start + 1, i),
+    href,
+    title,
+    end: i + 2 + target[0].length,
+  };
+}
+
+const DELIMITER_MARKS = { '*': ['italic', 'bold'], '_': ['italic', 'bold'], '~': ['strike', 'strike'], u: ['underline'] };
+
+function addMark(nodes, mark) {
+  return nodes.map(node => {
+    if (node.type !== 'text') return node;
+    const marks = node.marks || [];
+    // Code excludes all other marks; never add a mark twice
+    if (marks.some(m => m.type === 'code' || m.type === mark.type)) return node;
+    return { ...node, marks: [...marks, mark] };
+  });
+}
+
+function processEmphasis(items) {
+  let closerIndex = 0;
+  while (closerIndex < items.length) {
+    const closer = items[closerIndex];
+    if (!closer.delim || !closer.canClose || closer.count === 0) {
+      closerIndex++;
+      continue;
+    }
+
+    // Find the nearest matching opener
+    let openerIndex = -1;
+    for (let j = closerIndex - 1; j >= 0; j--) {
+      const opener = items[j];
+      if (opener.delim !== closer.delim || !opener.canOpen || opener.count === 0) continue;
+      if (closer.delim === '~' && opener.count !== closer.count) continue;
+      // "Rule of 3" for intraword runs that can both open and close
+      if ((opener.canClose || closer.canOpen) && closer.delim !== '~' && closer.delim !== 'u' &&
+          (opener.count + closer.count) % 3 === 0 && (opener.count % 3 !== 0 || closer.count % 3 !== 0)) {
+        continue;
+      }
+      openerIndex = j;
+      break;
+    }
+    if (openerIndex === -1) {
+      closerIndex++;
+      continue;
+    }
+
+    const opener = items[openerIndex];
+    const used = closer.delim === '~' ? opener.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+    const markType = DELIMITER_MARKS[closer.delim][Math.min(used, 2) - 1];
+
+    // Delimiters left between opener and closer become literal text
+    const inner = items.slice(openerIndex + 1, closerIndex).flatMap(item =>
+      item.delim ? literalDelimiter(item) : item.nodes);
+    opener.count -= used;
+    closer.count -= used;
+
+    const replacement = { nodes: addMark(inner, { type: markType }) };
+    items.splice(openerIndex + 1, closerIndex - openerIndex - 1, replacement);
+    closerIndex = openerIndex + 2;
+  }
+
+  return items.flatMap(item => (item.delim ? literalDelimiter(item) : item.nodes));
+}
+
+function literalDelimiter(item) {
+  if (item.count === 0) return [];
+  const text = item.delim === 'u'
+    ? (item.canOpen ? '<u>' : '</u>')
+    : item.delim.repeat(item.count);
+  return [{ type: 'text', text }];
+}
+
+// Merge adjacent text nodes that carry the same marks
+function normalizeInline(nodes) {
+  const result = [];
+  for (const node of nodes) {
+    const previous = result[result.length - 1];
+    if (node.type === 'text' && !node.text) continue;
+    if (previous && previous.type === 'text' && node.type === 'text' &&
+        sameMarks(previous.marks || [], node.marks || [])) {
+      previous.text += node.text;
+    } else {
+      result.push({ ...node });
+    }
+  }
+  return result.map(node => (node.marks && node.marks.length === 0 ? { type: node.type, text: node.text } : node));
+}
+
+function parseInline(text) {
+  return normalizeInline(processEmphasis(tokenizeInline(text)));
+}
+
+// Convert Markdown to a ProseMirror JSON document
+function markdownToJSON(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const content = parseBlocks(lines);
+  return { type: 'doc', content: content.length ? content : [paragraph([])] };
+}
+
+module.exports = {
+  jsonToMarkdown,
+  markdownToJSON,
+};
@@ -3,10 +3,21 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const { YSocketIO } = require('y-socket.io/dist/server');
+const { removeAwarenessStates } = require('y-protocols/awareness');
 const db = require('./db');
 const simpleGit = require('simple-git');
+const { GitError } = simpleGit;
 const fs = require('fs');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
 const cors = require('cors');
+const Y = require('yjs');
+const { diffWordsWithSpace } = require('diff');
+const { EXPORT_FORMATS, exportDocument } = require('./document_export');
+const { readImport } = require('./document_import');
+const { enqueueJob, whenAllIdle, writeFileAtomic } = require('./document_queue');
+const multer = require('multer');
+const { setYDocContent, yDocToMarkdown, toMarkdown, toPlainText, parseStoredContent, jsonToHTML, isOwnSuggestion } = require('./document_content');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,11 +29,313 @@ const io = new Server(server, {
 });
 
 // Y-Socket.io setup
-const ySocketIO = new YSocketIO(io, {
-  // authenticate: (auth) => { return true; } // Optional auth
-});
+const ySocketIO = new YSocketIO(io, {});
 ySocketIO.initialize();
 
+// Dashboard sockets (default namespace) - authenticated like the document
+// rooms. Every socket joins the room of its user, so notifications only reach
+// the user they are meant for.
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+io.use(async (socket, next) => {
+  try {
+    const user = await getSessionUser(socket.handshake.auth?.token);
+    if (!user) return next(new Error('Unauthorized'));
+    socket.data.user = user;
+    next();
+  } catch (err) {
+    console.error('Socket auth error:', err);
+    next(new Error('Unauthorized'));
+  }
+});
+
+io.on('connection', (socket) => {
+  socket.join(userRoom(socket.data.user.id));
+});
+
+// Document room authorization - every /yjs|<docId> namespace connection must
+// carry a valid session token (handshake.auth.token) and a role on the document
+ySocketIO.nsp.use(async (socket, next) => {
+  try {
+    const user = await getSessionUser(socket.handshake.auth?.token);
+    if (!user) return next(new Error('Unauthorized'));
+
+    const docId = socket.nsp.name.replace(/^\/yjs\|/, '');
+    const role = await getUserDocumentRole(user.id, docId);
+    if (!role) return next(new Error('Forbidden'));
+
+    socket.data.user = user;
+    socket.data.role = role;
+
+    guardUpdates(socket, docId);
+    trackPresence(socket, docId);
+
+    // Load the persisted Yjs state before the room's Y.Doc is created
+    if (!ySocketIO.documents.has(docId)) {
+      await preloadDocumentState(docId);
+    }
+    next();
+  } catch (err) {
+    console.error('Socket auth error:', err);
+    next(new Error('Unauthorized'));
+  }
+});
+
+// Updates sent by a client are checked against its current role, which can
+// change while it is connected (see refreshRoomAccess): writers' updates are
+// applied, suggesters' only if they merely propose changes of their own
+// (updates that change the accepted content - text, blocks or formatting not
+// marked as a suggestion -, attribute suggestions to someone else or touch
+// other users' suggestions are dropped), readers' are dropped. The senders of applied updates are remembered, so the
+// next commit can be attributed to them.
+function guardUpdates(socket, docId) {
+  const isSuggestion = (update) => {
+    const ydoc = ySocketIO.documents.get(docId);
+    try {
+      return !!ydoc && isOwnSuggestion(ydoc, new Uint8Array(update), socket.data.user);
+    } catch (err) {
+      console.error('Suggestion check error:', err);
+      return false;
+    }
+  };
+
+  const accept = (update) => {
+    const role = socket.data.role;
+    if (!hasRole(role, 'suggester')) return false;
+    if (!hasRole(role, 'writer') && !isSuggestion(update)) return false;
+    recordContributor(docId, socket.data.user);
+    return true;
+  };
+
+  // Updates pushed by the client
+  socket.use(([event, update], next) => {
+    if (event === 'sync-update' && !accept(update)) return; // drop silently
+    next();
+  });
+
+  // The client's answer to the server's sync-step-1 is an update as well
+  // (edits made while offline) - only acknowledge it if it is accepted
+  const emit = socket.emit.bind(socket);
+  socket.emit = (event, ...args) => {
+    const ack = args[args.length - 1];
+    if (event === 'sync-step-1' && typeof ack === 'function') {
+      args[args.length - 1] = (update) => {
+        if (update && update.byteLength > 2 && !accept(update)) return;
+        ack(update);
+      };
+    }
+    return emit(event, ...args);
+  };
+}
+
+// Presence - the awareness clients (one per open editor) announced through a
+// socket are remembered (see 'document-loaded'), so presence can be reported
+// with the socket's authenticated user and role. They are removed as soon as
+// the socket disconnects instead of waiting for the awareness timeout.
+function trackPresence(socket, docId) {
+  socket.data.awarenessClients = new Set();
+  socket.on('disconnect', () => {
+    const liveDoc = ySocketIO.documents.get(docId);
+    const clients = [...socket.data.awarenessClients];
+    if (liveDoc && clients.length > 0) {
+      removeAwarenessStates(liveDoc.awareness, clients, 'disconnect');
+    }
+  });
+}
+
+// Who has a document open right now, one entry per user. Users who can change
+// the document (suggesters and up) are editing, readers are viewing; a user is
+// idle if all of their open editors report being idle.
+function getDocumentPresence(docId) {
+  const liveDoc = ySocketIO.documents.get(String(docId));
+  if (!liveDoc) return [];
+  const states = liveDoc.awareness.getStates();
+  const users = new Map();
+  for (const socket of liveDoc.namespace.sockets.values()) {
+    const { user, role, awarenessClients } = socket.data;
+    if (!user) continue;
+    const announced = [...(awarenessClients || [])]
+      .map(clientId => states.get(clientId)?.user)
+      .filter(Boolean);
+    const idle = announced.length > 0 && announced.every(state => state.idle);
+    const entry = users.get(user.id);
+    if (entry) {
+      entry.idle = entry.idle && idle;
+      entry.color = entry.color || announced[0]?.color || null;
+      continue;
+    }
+    users.set(user.id, {
+      user_id: user.id,
+      username: user.username,
+      role,
+      mode: hasRole(role, 'suggester') ? 'editing' : 'viewing',
+      idle,
+      color: announced[0]?.color || null,
+    });
+  }
+  return [...users.values()];
+}
+
+// Re-check the role of every client in a document's live room after its
+// permissions changed. Clients that lost access are told so and disconnected;
+// the others are told their new role.
+async function refreshRoomAccess(docId) {
+  const liveDoc = ySocketIO.documents.get(String(docId));
+  if (!liveDoc) return;
+  for (const socket of [...liveDoc.namespace.sockets.values()]) {
+    const role = await getUserDocumentRole(socket.data.user.id, docId);
+    if (!role) {
+      socket.emit('access-revoked');
+      socket.disconnect(true);
+    } else if (role !== socket.data.role) {
+      socket.data.role = role;
+      socket.emit('role-changed', { role });
+    }
+  }
+}
+
+// Folder changes can affect the roles on any document below the folder
+async function refreshAllRoomAccess() {
+  for (const docId of ySocketIO.documents.keys()) {
+    await refreshRoomAccess(docId);
+  }
+}
+
+// Yjs persistence - the binary state of every document's Y.Doc is stored in
+// the document_states table, so the CRDT survives restarts and is the source
+// of truth for the document content
+const PERSISTENCE_ORIGIN = 'persistence';
+const STATE_SAVE_DEBOUNCE_MS = 2000;
+const stateLoads = new Map(); // docId -> Promise (in-flight loads)
+const preloadedStates = new Map(); // docId -> Uint8Array, consumed on 'document-loaded'
+const stateSaveTimers = new Map(); // docId -> timeout
+
+// Read the stored state, seeding it from document.md the first time a
+// document is opened (documents created before Yjs persistence existed)
+async function loadDocumentState(docId) {
+  const stateRes = await db.query('SELECT state FROM document_states WHERE document_id = $1', [docId]);
+  if (stateRes.rows.length > 0) return new Uint8Array(stateRes.rows[0].state);
+
+  const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [docId]);
+  if (docRes.rows.length === 0) return null;
+
+  const fullPath = path.join(getDocumentPath(docId), docRes.rows[0].fs_path);
+  const content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+
+  const ydoc = new Y.Doc();
+  if (content) setYDocContent(ydoc, content);
+  const state = Y.encodeStateAsUpdate(ydoc);
+  ydoc.destroy();
+
+  // Store the seed right away so it is only ever generated once
+  await storeDocumentState(docId, state);
+  return state;
+}
+
+// Only one load per document at a time - concurrent seeding would insert
+// the initial content twice
+async function preloadDocumentState(docId) {
+  if (!stateLoads.has(docId)) {
+    stateLoads.set(docId, loadDocumentState(docId)
+      .then(state => {
+        if (state) preloadedStates.set(docId, state);
+      })
+      .finally(() => stateLoads.delete(docId)));
+  }
+  await stateLoads.get(docId);
+}
+
+// Load a document into a Y.Doc - the live room's doc if it is open,
+// otherwise a detached copy built from the stored state
+async function getDocumentYDoc(docId) {
+  const liveDoc = ySocketIO.documents.get(docId);
+  if (liveDoc) return { ydoc: liveDoc, live: true };
+
+  const ydoc = new Y.Doc();
+  const state = await loadDocumentState(docId);
+  if (state) Y.applyUpdate(ydoc, state);
+  return { ydoc, live: false };
+}
+
+// Replace a document's content (rollback, API saves) through its Yjs state,
+// so connected clients receive the change and the file is re-rendered from it.
+// Content is Markdown (legacy HTML is still accepted).
+async function replaceDocumentContent(docId, content) {
+  const { ydoc, live } = await getDocumentYDoc(docId);
+  setYDocContent(ydoc, content);
+  if (!live) {
+    await storeDocumentState(docId, Y.encodeStateAsUpdate(ydoc));
+    ydoc.destroy();
+  }
+}
+
+// Render the current document content as Markdown from its Yjs state
+async function renderDocumentContent(docId) {
+  const { ydoc, live } = await getDocumentYDoc(docId);
+  const markdown = yDocToMarkdown(ydoc);
+  if (!live) ydoc.destroy();
+  return markdown;
+}
+
+async function storeDocumentState(docId, state) {
+  await db.query(`
+    INSERT INTO document_states (document_id, state, updated_at)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (document_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  `, [docId, Buffer.from(state), Date.now()]);
+}
+
+// Write the current state of a live document now
+async function flushDocumentState(docId) {
+  clearTimeout(stateSaveTimers.get(docId));
+  stateSaveTimers.delete(docId);
+
+  const ydoc = ySocketIO.documents.get(docId);
+  if (!ydoc) return;
+  try {
+    await storeDocumentState(docId, Y.encodeStateAsUpdate(ydoc));
+  } catch (err) {
+    console.error('Yjs state save error:', err);
+  }
+}
+
+function scheduleStateSave(docId) {
+  clearTimeout(stateSaveTimers.get(docId));
+  stateSaveTimers.set(docId, setTimeout(() => flushDocumentState(docId), STATE_SAVE_DEBOUNCE_MS));
+}
+
+ySocketIO.on('document-loaded', (ydoc) => {
+  const state = preloadedStates.get(ydoc.name);
+  preloadedStates.delete(ydoc.name);
+  if (state) Y.applyUpdate(ydoc, state, PERSISTENCE_ORIGIN);
+
+  ydoc.on('update', (update, origin) => {
+    if (origin === PERSISTENCE_ORIGIN) return;
+    noteSnapshotChange(ydoc.name);
+    scheduleStateSave(ydoc.name);
+    scheduleFileRender(ydoc.name);
+  });
+
+  // Remember which awareness clients each socket announced (see trackPresence)
+  ydoc.awareness.on('update', ({ added, updated, removed }, origin) => {
+    const clients = origin?.data?.awarenessClients;
+    if (!clients) return;
+    added.concat(updated).forEach(clientId => clients.add(clientId));
+    removed.forEach(clientId => clients.delete(clientId));
+  });
+});
+
+// Persist and unload a document once its last client has left
+ySocketIO.on('all-document-connections-closed', async (ydoc) => {
+  await flushFileRender(ydoc.name);
+  await flushDocumentState(ydoc.name);
+  if ((await ydoc.namespace.allSockets()).size === 0) {
+    await ydoc.destroy();
+  }
+});
+
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
@@ -56,7 +369,8 @@ async function initializeDatabase() {
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           name TEXT NOT NULL,
           path TEXT NOT NULL,
-          fs_path TEXT UNIQUE NOT NULL,
+          fs_path TEXT NOT NULL,
+          folder_id INTEGER REFERENCES folders(id),
           owner_id INTEGER REFERENCES users(id),
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         );
@@ -68,26 +382,214 @@ async function initializeDatabase() {
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
           user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-          role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'reader')),
+          role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'suggester', 'reader')),
           UNIQUE(document_id, user_id)
         );
       `);
       
       console.log("Database tables initialized successfully.");
     }
+
+    await migratePermissionRoles();
+    await migrateDocumentsTable();
+
+    // Tables added after the initial schema (safe to run on existing databases)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS document_states (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        state BLOB NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        commit_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id),
+        created_at INTEGER NOT NULL,
+        UNIQUE (document_id, name)
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id),
+        body TEXT NOT NULL,
+        anchor TEXT,
+        quote TEXT,
+        resolved INTEGER NOT NULL DEFAULT 0,
+        resolved_by INTEGER REFERENCES users(id),
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES folders(id),
+        owner_id INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS folder_permissions (
+        folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'suggester', 'reader')),
+        PRIMARY KEY (folder_id, user_id)
+      );
+    `);
+
+    // Full-text search index, rowid = document id
+    await db.query(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS document_search USING fts5(name, content)
+    `);
+    await indexMissingDocuments();
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        actor_id INTEGER REFERENCES users(id),
+        document_id INTEGER,
+        data TEXT NOT NULL,
+        read_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS share_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT UNIQUE NOT NULL,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('writer', 'suggester', 'reader')),
+        password TEXT,
+        allow_anonymous INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER,
+        created_by INTEGER REFERENCES users(id),
+        created_at INTEGER NOT NULL
+      );
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS snapshot_policies (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        idle_ms INTEGER,
+        max_interval_ms INTEGER,
+        max_changes INTEGER,
+        compact_after_days INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS document_remotes (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        branch TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
   } catch (err) {
     console.error("Error initializing database:", err);
     // Don't exit - let server start anyway, but log the error
   }
 }
 
-// Initialize database on startup
-initializeDatabase();
+// The permissions CHECK constraint of older databases does not allow the
+// 'suggester' role. SQLite cannot alter a constraint, so the table is rebuilt.
+async function migratePermissionRoles() {
+  const tableRes = await db.query("SELECT sql FROM sqlite_master WHERE type='table' AND name='permissions'");
+  const tableSql = tableRes.rows[0]?.sql;
+  if (!tableSql || tableSql.includes("'suggester'")) return;
+
+  console.log("Migrating permissions table (adding 'suggester' role)...");
+  await db.query('BEGIN TRANSACTION');
+  try {
+    await db.query('ALTER TABLE permissions RENAME TO permissions_old');
+    await db.query(`
+      CREATE TABLE permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'suggester', 'reader')),
+        UNIQUE(document_id, user_id)
+      );
+    `);
+    await db.query(`
+      INSERT INTO permissions (id, document_id, user_id, role)
+      SELECT id, document_id, user_id, role FROM permissions_old
+    `);
+    await db.query('DROP TABLE permissions_old');
+    await db.query('COMMIT');
+  } catch (err) {
+    await db.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Older databases declare documents.fs_path UNIQUE although every document
+// repository uses the same file name (so only one document could be created),
+// and have no folder_id column. The table is rebuilt; it is created under a new
+// name and renamed afterwards so references from other tables stay intact.
+async function migrateDocumentsTable() {
+  const tableRes = await db.query("SELECT sql FROM sqlite_master WHERE type='table' AND name='documents'");
+  const tableSql = tableRes.rows[0]?.sql;
+  if (!tableSql || tableSql.includes('folder_id')) return;
+
+  console.log("Migrating documents table (folders, non-unique fs_path)...");
+  await db.query('BEGIN TRANSACTION');
+  try {
+    await db.query(`
+      CREATE TABLE documents_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        path TEXT NOT NULL,
+        fs_path TEXT NOT NULL,
+        folder_id INTEGER REFERENCES folders(id),
+        owner_id INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await db.query(`
+      INSERT INTO documents_new (id, name, path, fs_path, owner_id, created_at)
+      SELECT id, name, path, fs_path, owner_id, created_at FROM documents
+    `);
+    await db.query('DROP TABLE documents');
+    await db.query('ALTER TABLE documents_new RENAME TO documents');
+    await db.query('COMMIT');
+  } catch (err) {
+    await db.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Initialize database on startup (the server listens once it is done)
+const databaseReady = initializeDatabase();
 
 // Git Setup - Base directory for all document repos
-const STORAGE_PATH = path.join(__dirname, 'document_storage');
+const STORAGE_PATH = process.env.DOCUMENT_STORAGE_PATH || path.join(__dirname, 'document_storage');
 if (!fs.existsSync(STORAGE_PATH)) {
-  fs.mkdirSync(STORAGE_PATH);
+  fs.mkdirSync(STORAGE_PATH, { recursive: true });
 }
 
 // Helper to get git instance for a document
@@ -114,17 +616,376 @@ async function initDocumentRepo(docId) {
   return git;
 }
 
+// Git author for a user. Users have no email address, so a local one is derived
+// from the user id (usernames are free text).
+function gitAuthor(user) {
+  const name = String(user.username).replace(/[<>\n]/g, '');
+  return `${name} <user-${user.id}@collaboration-docs.local>`;
+}
+
+// Parse author and Co-authored-by trailers of a commit into a list of names
+function commitAuthors(commit) {
+  const coAuthors = [...(commit.body || '').matchAll(/^Co-authored-by: (.+?) </gm)].map(m => m[1]);
+  return [commit.author_name, ...coAuthors];
+}
+
+// Give a commit a name (e.g. "v1.0 draft"). Names are unique per document.
+async function createNamedVersion(docId, name, hash, user) {
+  const result = await db.query(
+    `INSERT INTO versions (document_id, commit_hash, name, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id, name, commit_hash, created_at`,
+    [docId, hash, name, user.id, Date.now()]
+  );
+  return { ...result.rows[0], created_by: user.username };
+}
+
+// Only plain commit hashes (or HEAD) may be passed on to git
+function isValidRevision(rev) {
+  return typeof rev === 'string' && /^([0-9a-f]{4,40}|HEAD)$/i.test(rev);
+}
+
+// Resolve a revision to a commit of the document's history, i.e. one
+// reachable from HEAD. The repository can hold other objects (fetched from a
+// remote, but not merged), which are never served. Resolves to the full hash,
+// or null.
+async function resolveHistoryCommit(docId, rev) {
+  const git = getDocumentGit(docId);
+  try {
+    const hash = (await git.revparse([`${rev}^{commit}`])).trim();
+    // `merge-base --is-ancestor`, but simple-git does not report exit codes:
+    // the commit is an ancestor of HEAD if it is their merge base
+    const base = (await git.raw(['merge-base', hash, 'HEAD'])).trim();
+    return base === hash ? hash : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Helper to read a document version from its git repo as Markdown
+// (older commits may hold the editor's HTML)
+async function getVersionContent(docId, fsPath, rev) {
+  const git = getDocumentGit(docId);
+  try {
+    return toMarkdown(await git.show([`${rev}:${fsPath}`]));
+  } catch (err) {
+    // File might be empty at creation
+    return '';
+  }
+}
+
+// Search index. The content column holds the plain text of document.md, so
+// snippets contain no Markdown syntax.
+async function indexDocument(docId, content) {
+  const docRes = await db.query('SELECT name FROM documents WHERE id = $1', [docId]);
+  if (docRes.rows.length === 0) return;
+  await db.query('DELETE FROM document_search WHERE rowid = $1', [docId]);
+  await db.query('INSERT INTO document_search (rowid, name, content) VALUES ($1, $2, $3)',
+    [docId, docRes.rows[0].name, toPlainText(content)]);
+}
+
+// Index documents created before the search index existed
+async function indexMissingDocuments() {
+  const docRes = await db.query('SELECT id, fs_path FROM documents WHERE id NOT IN (SELECT rowid FROM document_search)');
+  for (const doc of docRes.rows) {
+    const fullPath = path.join(getDocumentPath(doc.id), doc.fs_path);
+    await indexDocument(doc.id, fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '');
+  }
+}
+
+// Turn user input into an FTS5 query: every word has to match, as a prefix
+function toSearchQuery(q) {
+  const terms = String(q || '').match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Matches in snippets are marked with control characters by SQLite and turned
+// into <mark> after escaping the text
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+function highlightMatches(text) {
+  return escapeHtml(text)
+    .replace(new RegExp(MATCH_START, 'g'), '<mark>')
+    .replace(new RegExp(MATCH_END, 'g'), '</mark>');
+}
+
+// Password hashing (scrypt with a per-user random salt)
+// Stored format: scrypt$<salt hex>$<hash hex>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!stored || !stored.startsWith('scrypt$')) {
+    // Legacy plaintext password from before hashing was introduced
+    return stored === password;
+  }
+  const [, saltHex, hashHex] = stored.split('$');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Sessions - opaque random tokens, only their SHA-256 hash is stored
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  await db.query(
+    'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES ($1, $2, $3, $4)',
+    [hashToken(token), userId, now, now + SESSION_TTL_MS]
+  );
+  return token;
+}
+
+// Resolve a session token to { id, username }, or null if invalid/expired
+async function getSessionUser(token) {
+  if (!token) return null;
+  const result = await db.query(`
+    SELECT u.id, u.username, s.expires_at
+    FROM sessions s
+    INNER JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = $1
+  `, [hashToken(token)]);
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  if (row.expires_at < Date.now()) {
+    await db.query('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+    return null;
+  }
+  return { id: row.id, username: row.username };
+}
+
+// Read the bearer token from the Authorization header
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+// Middleware - resolves the current user from the session token into req.user
+async function requireAuth(req, res, next) {
+  try {
+    const user = await getSessionUser(getRequestToken(req));
+    if (!user) return res.status(401).json({ error: 'Not authenticated' });
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('Auth error:', err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Get user's role for a document
+async function getUserDocumentRole(userId, documentId) {
+  try {
+    // Check if user is owner
+    const ownerRes = await db.query('SELECT owner_id, folder_id FROM documents WHERE id = $1', [documentId]);
+    if (ownerRes.rows.length === 0) return null;
+    if (ownerRes.rows[0].owner_id == userId) return 'owner';
+    
+    // Check permissions table
+    const permRes = await db.query(
+      'SELECT role FROM permissions WHERE document_id = $1 AND user_id = $2',
+      [documentId, userId]
+    );
+    const directRole = permRes.rows[0]?.role || null;
+    
+    // Roles on the folder (and its parents) are inherited
+    const folderRole = ownerRes.rows[0].folder_id
+      ? await getUserFolderRole(userId, ownerRes.rows[0].folder_id)
+      : null;
+    
+    return highestRole(directRole, folderRole);
+  } catch (err) {
+    console.error('Error getting user role:', err);
+    return null;
+  }
+}
+
+// Get user's role for a folder: owning or being given a role on the folder or
+// any of its parents
+async function getUserFolderRole(userId, folderId) {
+  const chainRes = await db.query(`
+    WITH RECURSIVE chain(id, parent_id, owner_id) AS (
+      SELECT id, parent_id, owner_id FROM folders WHERE id = $1
+      UNION ALL
+      SELECT f.id, f.parent_id, f.owner_id FROM folders f JOIN chain c ON f.id = c.parent_id
+    )
+    SELECT c.owner_id, fp.role
+    FROM chain c
+    LEFT JOIN folder_permissions fp ON fp.folder_id = c.id AND fp.user_id = $2
+  `, [folderId, userId]);
+  
+  return chainRes.rows.reduce(
+    (role, folder) => highestRole(role, folder.owner_id == userId ? 'owner' : folder.role),
+    null
+  );
+}
+
+// Roles of a user on every folder (null where they have none)
+async function getUserFolderRoles(userId) {
+  const folderRes = await db.query('SELECT id, parent_id, owner_id FROM folders');
+  const permRes = await db.query('SELECT folder_id, role FROM folder_permissions WHERE user_id = $1', [userId]);
+  const folders = new Map(folderRes.rows.map(folder => [folder.id, folder]));
+  const directRoles = new Map(permRes.rows.map(perm => [perm.folder_id, perm.role]));
+  const roles = new Map();
+  
+  const resolve = (folder, seen = new Set()) => {
+    if (roles.has(folder.id)) return roles.get(folder.id);
+    let role = folder.owner_id == userId ? 'owner' : directRoles.get(folder.id) || null;
+    const parent = folders.get(folder.parent_id);
+    if (parent && !seen.has(parent.id)) {
+      seen.add(folder.id);
+      role = highestRole(role, resolve(parent, seen));
+    }
+    roles.set(folder.id, role);
+    return role;
+  };
+  folders.forEach(folder => resolve(folder));
+  return roles;
+}
+
+// Authorization - roles ordered by what they allow
+const ROLE_LEVELS = { reader: 1, suggester: 2, writer: 3, owner: 4 };
+
+function hasRole(role, requiredRole) {
+  return !!role && ROLE_LEVELS[role] >= ROLE_LEVELS[requiredRole];
+}
+
+function highestRole(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return ROLE_LEVELS[a] >= ROLE_LEVELS[b] ? a : b;
+}
+
+// Middleware - requires the current user to hold at least requiredRole on
+// the document in req.params.id. Stores the resolved role in req.documentRole.
+// Must run after requireAuth.
+function requireRole(requiredRole) {
+  return async (req, res, next) => {
+    try {
+      const docRes = await db.query('SELECT id FROM documents WHERE id = $1', [req.params.id]);
+      if (docRes.rows.length === 0) return res.status(404).json({ error: 'Doc not found' });
+
+      const role = await getUserDocumentRole(req.user.id, req.params.id);
+      if (!hasRole(role, requiredRole)) {
+        return res.status(403).json({ error: `Forbidden: You need ${requiredRole} access to this document` });
+      }
+      req.documentRole = role;
+      next();
+    } catch (err) {
+      console.error('Authorization error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// Middleware - like requireRole, for the folder in req.params.id. Stores the
+// resolved role in req.folderRole.
+function requireFolderRole(requiredRole) {
+  return async (req, res, next) => {
+    try {
+      const folderRes = await db.query('SELECT id FROM folders WHERE id = $1', [req.params.id]);
+      if (folderRes.rows.length === 0) return res.status(404).json({ error: 'Folder not found' });
+
+      const role = await getUserFolderRole(req.user.id, req.params.id);
+      if (!hasRole(role, requiredRole)) {
+        return res.status(403).json({ error: `Forbidden: You need ${requiredRole} access to this folder` });
+      }
+      req.folderRole = role;
+      next();
+    } catch (err) {
+      console.error('Authorization error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// Path of a folder from the root, e.g. '/Legal/Contracts' ('/' for no folder)
+async function getFolderPath(folderId) {
+  if (!folderId) return '/';
+  const chainRes = await db.query(`
+    WITH RECURSIVE chain(id, parent_id, name, depth) AS (
+      SELECT id, parent_id, name, 0 FROM folders WHERE id = $1
+      UNION ALL
+      SELECT f.id, f.parent_id, f.name, c.depth + 1 FROM folders f JOIN chain c ON f.id = c.parent_id
+    )
+    SELECT name FROM chain ORDER BY depth DESC
+  `, [folderId]);
+  return '/' + chainRes.rows.map(folder => folder.name).join('/');
+}
+
+// Keep documents.path in sync after a folder was renamed or moved
+async function updateDocumentPaths(folderId) {
+  const subtreeRes = await db.query(`
+    WITH RECURSIVE subtree(id) AS (
+      SELECT id FROM folders WHERE id = $1
+      UNION ALL
+      SELECT f.id FROM folders f JOIN subtree s ON f.parent_id = s.id
+    )
+    SELECT id FROM subtree
+  `, [folderId]);
+  for (const folder of subtreeRes.rows) {
+    await db.query('UPDATE documents SET path = $1 WHERE folder_id = $2', [await getFolderPath(folder.id), folder.id]);
+  }
+}
+
+// Whether a folder is the given folder or one of its subfolders
+async function isInFolder(folderId, ancestorId) {
+  const chainRes = await db.query(`
+    WITH RECURSIVE chain(id, parent_id) AS (
+      SELECT id, parent_id FROM folders WHERE id = $1
+      UNION ALL
+      SELECT f.id, f.parent_id FROM folders f JOIN chain c ON f.id = c.parent_id
+    )
+    SELECT id FROM chain WHERE id = $2
+  `, [folderId, ancestorId]);
+  return chainRes.rows.length > 0;
+}
+
+// Check that the user may put things into a folder (null is the top level,
+// which everyone may use). Returns an error message, or null if allowed.
+async function checkTargetFolder(userId, folderId) {
+  if (folderId === null) return null;
+  const folderRes = await db.query('SELECT id FROM folders WHERE id = $1', [folderId]);
+  if (folderRes.rows.length === 0) return 'Folder not found';
+  const role = await getUserFolderRole(userId, folderId);
+  if (!hasRole(role, 'writer')) return 'Forbidden: You need writer access to this folder';
+  return null;
+}
+
 // API Routes
 
 // Register
 app.post('/api/register', async (req, res) => {
   const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
   try {
     const result = await db.query(
       'INSERT INTO users (username, password) VALUES ($1, $2) RETURNING id, username',
-      [username, password]
+      [username, hashPassword(password)]
     );
-    res.json(result.rows[0]);
+    const user = result.rows[0];
+    const token = await createSession(user.id);
+    res.json({ id: user.id, username: user.username, token });
   } catch (err) {
     console.error(err);
     res.status(400).json({ error: 'Username likely taken' });
@@ -136,10 +997,15 @@ app.post('/api/login', async (req, res) => {
   const { username, password } = req.body;
   try {
     const result = await db.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (result.rows.length > 0) {
+    if (result.rows.length > 0 && password) {
       const user = result.rows[0];
-      if (user.password === password) {
-        res.json({ id: user.id, username: user.username });
+      if (verifyPassword(password, user.password)) {
+        // Upgrade legacy plaintext passwords on successful login
+        if (!user.password.startsWith('scrypt$')) {
+          await db.query('UPDATE users SET password = $1 WHERE id = $2', [hashPassword(password), user.id]);
+        }
+        const token = await createSession(user.id);
+        res.json({ id: user.id, username: user.username, token });
         return;
       }
     }
@@ -149,59 +1015,227 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// List Documents
-app.get('/api/documents', async (req, res) => {
-  const userId = req.query.userId;
+// Logout (invalidate the current session)
+app.post('/api/logout', requireAuth, async (req, res) => {
   try {
-    // Get docs owned or shared - using UNION to avoid duplicates
-    const result = await db.query(`
-      SELECT d.id, d.name, d.path, d.fs_path, d.owner_id, d.created_at, 'owner' as role
-      FROM documents d
-      WHERE d.owner_id = $1
-      UNION
-      SELECT d.id, d.name, d.path, d.fs_path, d.owner_id, d.created_at, p.role
-      FROM documents d
-      INNER JOIN permissions p ON d.id = p.document_id
-      WHERE p.user_id = $2 AND d.owner_id != $3
-    `, [userId, userId, userId]);
-    console.log('Documents for user', userId, ':', result.rows);
-    res.json(result.rows);
+    await db.query('DELETE FROM sessions WHERE token_hash = $1', [hashToken(getRequestToken(req))]);
+    res.json({ success: true });
   } catch (err) {
-    console.error('Error listing documents:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Create Document
-app.post('/api/documents', async (req, res) => {
-  const { name, userId } = req.body;
-  const filename = 'document.md'; // Always use same filename in each doc's repo
-  
-  try {
-    // Create document in DB first to get ID
-    const result = await db.query(
-      'INSERT INTO documents (name, path, fs_path, owner_id) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, '/', filename, userId]
-    );
+// Current user
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// List Documents
+app.get('/api/documents', requireAuth, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    // Docs owned, shared directly, or inside a folder the user has a role on
+    const result = await db.query(`
+      SELECT d.id, d.name, d.path, d.fs_path, d.folder_id, d.owner_id, d.created_at, p.role AS direct_role
+      FROM documents d
+      LEFT JOIN permissions p ON d.id = p.document_id AND p.user_id = $1
+    `, [userId]);
+    const folderRoles = await getUserFolderRoles(userId);
     
-    const docId = result.rows[0].id;
+    const docs = result.rows
+      .map(({ direct_role, ...doc }) => ({
+        ...doc,
+        role: doc.owner_id == userId ? 'owner' : highestRole(direct_role, folderRoles.get(doc.folder_id))
+      }))
+      .filter(doc => doc.role);
+    res.json(docs);
+  } catch (err) {
+    console.error('Error listing documents:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search documents the user can access. Returns the best matches with the
+// name and a snippet of the content, matches wrapped in <mark> (HTML-escaped).
+app.get('/api/search', requireAuth, async (req, res) => {
+  const userId = req.user.id;
+  const query = toSearchQuery(req.query.q);
+  if (!query) return res.json([]);
+  
+  try {
+    const result = await db.query(`
+      SELECT d.id, d.name, d.path, d.folder_id, d.owner_id, p.role AS direct_role,
+        highlight(document_search, 0, $1, $2) AS name_match,
+        snippet(document_search, 1, $1, $2, '…', 24) AS snippet
+      FROM document_search
+      JOIN documents d ON d.id = document_search.rowid
+      LEFT JOIN permissions p ON d.id = p.document_id AND p.user_id = $3
+      WHERE document_search MATCH $4
+      ORDER BY rank
+    `, [MATCH_START, MATCH_END, MATCH_START, MATCH_END, userId, query]);
+    const folderRoles = await getUserFolderRoles(userId);
     
-    // Initialize git repo for this document
-    const git = await initDocumentRepo(docId);
+    const results = result.rows
+      .map(({ direct_role, name_match, snippet, ...doc }) => ({
+        ...doc,
+        role: doc.owner_id == userId ? 'owner' : highestRole(direct_role, folderRoles.get(doc.folder_id)),
+        name_html: highlightMatches(name_match),
+        snippet: highlightMatches(snippet)
+      }))
+      .filter(doc => doc.role)
+      .slice(0, 50);
+    res.json(results);
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create Document
+// Uploads for imports are kept in memory; they are converted and written to
+// the new documents' repos right away
+const MAX_IMPORT_FILES = 20;
+const MAX_IMPORT_FILE_SIZE = 20 * 1024 * 1024;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_IMPORT_FILES, fileSize: MAX_IMPORT_FILE_SIZE },
+});
+
+// Too many or too large files are the client's fault
+function receiveImportFiles(req, res, next) {
+  upload.array('files', MAX_IMPORT_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message });
+    next(err);
+  });
+}
+
+// Helper to create a document owned by `user`: its row, its git repo with an
+// initial commit of `content` (Markdown), its search index entry and the
+// owner's permission
+async function createDocument(user, name, folderId, content, commitMessage) {
+  const filename = 'document.md'; // Always use same filename in each doc's repo
+  
+  // Create document in DB first to get ID
+  const result = await db.query(
+    'INSERT INTO documents (name, path, fs_path, folder_id, owner_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [name, await getFolderPath(folderId), filename, folderId, user.id]
+  );
+  
+  const docId = result.rows[0].id;
+  
+  // Initialize git repo for this document
+  const git = await initDocumentRepo(docId);
+  
+  const docPath = getDocumentPath(docId);
+  const fullPath = path.join(docPath, filename);
+  await writeFileAtomic(fullPath, content);
+  
+  // Initial commit
+  await git.add(filename);
+  await git.commit(commitMessage, [], { '--author': gitAuthor(user) });
+  await indexDocument(docId, content);
+  
+  // Add owner permission
+  await db.query('INSERT INTO permissions (document_id, user_id, role) VALUES ($1, $2, $3)', 
+    [docId, user.id, 'owner']);
+  
+  return result.rows[0];
+}
+
+app.post('/api/documents', requireAuth, async (req, res) => {
+  const { name } = req.body;
+  const folderId = req.body.folder_id ?? null;
+  
+  try {
+    const folderError = await checkTargetFolder(req.user.id, folderId);
+    if (folderError) return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
     
-    // Create empty file
-    const docPath = getDocumentPath(docId);
-    const fullPath = path.join(docPath, filename);
-    fs.writeFileSync(fullPath, '');
+    res.json(await createDocument(req.user, name, folderId, '', `Create document ${name}`));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Import Documents - multipart upload of one or more `files` (Markdown, HTML,
+// DOCX, plain text, or zip archives of them) into the folder `folder_id`.
+// Every file becomes a new document whose first commit holds its content;
+// files that cannot be imported are reported in `skipped`.
+app.post('/api/documents/import', requireAuth, receiveImportFiles, async (req, res) => {
+  const folderId = req.body?.folder_id ? Number(req.body.folder_id) : null;
+  const files = req.files || [];
+  if (files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+  
+  try {
+    const folderError = await checkTargetFolder(req.user.id, folderId);
+    if (folderError) return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
     
-    // Initial commit
-    await git.add(filename);
-    await git.commit(`Create document ${name}`);
+    const documents = [];
+    const skipped = [];
+    for (const file of files) {
+      // Multer reads the file name as latin1
+      const fileName = Buffer.from(file.originalname, 'latin1').toString('utf8');
+      const result = await readImport(fileName, file.buffer);
+      skipped.push(...result.skipped);
+      for (const doc of result.documents) {
+        documents.push(await createDocument(req.user, doc.name, folderId, doc.content,
+          `Import document ${doc.name} from ${path.basename(doc.file)}`));
+      }
+    }
     
-    // Add owner permission
-    await db.query('INSERT INTO permissions (document_id, user_id, role) VALUES ($1, $2, $3)', 
-      [docId, userId, 'owner']);
+    if (documents.length === 0) return res.status(400).json({ error: 'No files could be imported', skipped });
+    res.json({ documents, skipped });
+  } catch (err) {
+    console.error('Import error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
+// Update Document - rename it ({ name }, writer) and/or move it to another
+// folder ({ folder_id }, null for the top level). Moving changes the inherited
+// sharing, so it needs the owner role. Renames are recorded in the git history.
+app.patch('/api/documents/:id', requireAuth, requireRole('writer'), async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body;
+  
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'Name is required' });
+  }
+  if (req.body.folder_id !== undefined && !hasRole(req.documentRole, 'owner')) {
+    return res.status(403).json({ error: 'Only owners can move documents' });
+  }
+  
+  try {
+    // Check the target folder first, so a refused move changes nothing
+    const folderId = req.body.folder_id;
+    if (folderId !== undefined) {
+      const folderError = await checkTargetFolder(req.user.id, folderId);
+      if (folderError) return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
+    }
+    
+    if (name !== undefined) {
+      // The name only changes once the rename is committed
+      const newName = name.trim();
+      await enqueueJob(id, 'rename', async () => {
+        const docRes = await db.query('SELECT name FROM documents WHERE id = $1', [id]);
+        const oldName = docRes.rows[0].name;
+        if (newName === oldName) return;
+        await getDocumentGit(id).commit(`Rename document ${oldName} to ${newName}`, [], {
+          '--allow-empty': null,
+          '--author': gitAuthor(req.user)
+        });
+        await db.query('UPDATE documents SET name = $1 WHERE id = $2', [newName, id]);
+        await db.query('UPDATE document_search SET name = $1 WHERE rowid = $2', [newName, id]);
+      }, GIT_JOB_OPTIONS);
+    }
+    
+    if (folderId !== undefined) {
+      await db.query('UPDATE documents SET folder_id = $1, path = $2 WHERE id = $3',
+        [folderId, await getFolderPath(folderId), id]);
+      await refreshRoomAccess(id);
+    }
+    
+    const result = await db.query('SELECT * FROM documents WHERE id = $1', [id]);
     res.json(result.rows[0]);
   } catch (err) {
     console.error(err);
@@ -209,17 +1243,137 @@ app.post('/api/documents', async (req, res) => {
   }
 });
 
+// Duplicate Document - a new document owned by the current user, with a clone
+// of the git repository (so the history is kept) and the current content.
+// Optional { name, folder_id }; by default "Copy of <name>" in the same folder,
+// or at the top level if the user cannot create documents there.
+app.post('/api/documents/:id/duplicate', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  
+  try {
+    const docRes = await db.query('SELECT name, fs_path, folder_id FROM documents WHERE id = $1', [id]);
+    const source = docRes.rows[0];
+    const name = typeof req.body?.name === 'string' && req.body.name.trim() ? req.body.name.trim() : `Copy of ${source.name}`;
+    
+    let folderId = req.body?.folder_id;
+    if (folderId === undefined) {
+      folderId = (await checkTargetFolder(userId, source.folder_id)) ? null : source.folder_id;
+    }
+    const folderError = await checkTargetFolder(userId, folderId);
+    if (folderError) return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
+    
+    // Current content, including edits that are not committed yet
+    const content = await renderDocumentContent(id);
+    
+    // The row comes first for its id, and goes again if the copy fails
+    const result = await db.query(
+      'INSERT INTO documents (name, path, fs_path, folder_id, owner_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [name, await getFolderPath(folderId), source.fs_path, folderId, userId]
+    );
+    const newId = result.rows[0].id;
+    
+    const newPath = getDocumentPath(newId);
+    try {
+      // Clone the repository (as a job of the source, so no commit of it is
+      // half done); the copy does not track the original
+      await enqueueJob(id, 'duplicate', async () => {
+        try {
+          await simpleGit().clone(getDocumentPath(id), newPath);
+          await getDocumentGit(newId).removeRemote('origin');
+        } catch (err) {
+          await fs.promises.rm(newPath, { recursive: true, force: true });
+          throw err;
+        }
+      }, GIT_JOB_OPTIONS);
+      
+      await enqueueJob(newId, 'create', async () => {
+        const git = getDocumentGit(newId);
+        await git.addConfig('user.name', 'Collaboration Docs Bot');
+        await git.addConfig('user.email', 'bot@collaboration-docs.local');
+        await writeFileAtomic(path.join(newPath, source.fs_path), content);
+        await git.add(source.fs_path);
+        await git.commit(`Create document ${name} as a copy of ${source.name}`, [], {
+          '--allow-empty': null,
+          '--author': gitAuthor(req.user)
+        });
+      }, GIT_JOB_OPTIONS);
+      await indexDocument(newId, content);
+      
+      // Named versions point to commits that exist in the clone as well
+      await db.query(`
+        INSERT INTO versions (document_id, commit_hash, name, created_by, created_at)
+        SELECT $1, commit_hash, name, created_by, created_at FROM versions WHERE document_id = $2
+      `, [newId, id]);
+      
+      await db.query('INSERT INTO permissions (document_id, user_id, role) VALUES ($1, $2, $3)',
+        [newId, userId, 'owner']);
+    } catch (err) {
+      // No half-made copy is left in the owner's list
+      await db.query('DELETE FROM versions WHERE document_id = $1', [newId]);
+      await db.query('DELETE FROM document_search WHERE rowid = $1', [newId]);
+      await db.query('DELETE FROM documents WHERE id = $1', [newId]);
+      await enqueueJob(newId, 'delete', () => fs.promises.rm(newPath, { recursive: true, force: true }));
+      throw err;
+    }
+    
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Duplicate error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Transfer Ownership - makes another user the document's owner. The previous
+// owner keeps access as a writer. owner_id and both permission rows change in
+// one transaction.
+app.post('/api/documents/:id/transfer', requireAuth, requireRole('owner'), async (req, res) => {
+  const { id } = req.params;
+  const { username } = req.body;
+  
+  try {
+    const userRes = await db.query('SELECT id, username FROM users WHERE username = $1', [username]);
+    if (userRes.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const newOwnerId = userRes.rows[0].id;
+    
+    const docRes = await db.query('SELECT owner_id FROM documents WHERE id = $1', [id]);
+    const previousOwnerId = docRes.rows[0].owner_id;
+    if (previousOwnerId == newOwnerId) {
+      return res.status(400).json({ error: 'User already owns this document' });
+    }
+    
+    await db.transaction(async query => {
+      await query('UPDATE documents SET owner_id = $1 WHERE id = $2', [newOwnerId, id]);
+      await query(`
+        INSERT INTO permissions (document_id, user_id, role)
+        VALUES ($1, $2, 'owner')
+        ON CONFLICT (document_id, user_id) DO UPDATE SET role = excluded.role
+      `, [id, newOwnerId]);
+      await query(`
+        INSERT INTO permissions (document_id, user_id, role)
+        VALUES ($1, $2, 'writer')
+        ON CONFLICT (document_id, user_id) DO UPDATE SET role = excluded.role
+      `, [id, previousOwnerId]);
+    });
+    
+    await refreshRoomAccess(id);
+    const nameRes = await db.query('SELECT name FROM documents WHERE id = $1', [id]);
+    await notifyUser(newOwnerId, 'role-changed', req.user, id, { document_name: nameRes.rows[0].name, role: 'owner' });
+    res.json({ success: true, owner: userRes.rows[0] });
+  } catch (err) {
+    console.error('Transfer error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get Document Content
-app.get('/api/documents/:id/content', async (req, res) => {
+app.get('/api/documents/:id/content', requireAuth, requireRole('reader'), async (req, res) => {
     const { id } = req.params;
-    const { userId } = req.query;
+    const role = req.documentRole;
     try {
         const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
         if (docRes.rows.length === 0) return res.status(404).send('Doc not found');
         
-        // Get user's role for this document
-        const role = await getUserDocumentRole(userId, id);
-        
         const fsPath = docRes.rows[0].fs_path;
         const docPath = getDocumentPath(id);
         const fullPath = path.join(docPath, fsPath);
@@ -236,7 +1390,7 @@ app.get('/api/documents/:id/content', async (req, res) => {
 });
 
 // Get Document History
-app.get('/api/documents/:id/history', async (req, res) => {
+app.get('/api/documents/:id/history', requireAuth, requireRole('reader'), async (req, res) => {
   const { id } = req.params;
   try {
     const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
@@ -245,8 +1399,20 @@ app.get('/api/documents/:id/history', async (req, res) => {
     const git = getDocumentGit(id);
     const log = await git.log();
     
+    // Names given to commits, shown next to them in the history
+    const versionRes = await db.query('SELECT name, commit_hash FROM versions WHERE document_id = $1 ORDER BY created_at', [id]);
+    const versionNames = new Map();
+    for (const version of versionRes.rows) {
+      if (!versionNames.has(version.commit_hash)) versionNames.set(version.commit_hash, []);
+      versionNames.get(version.commit_hash).push(version.name);
+    }
+    
     // Show all commits (rollback commits are now regular commits that can be undone)
-    const filteredLog = log.all;
+    const filteredLog = log.all.map(commit => ({
+      ...commit,
+      authors: commitAuthors(commit),
+      versions: versionNames.get(commit.hash) || []
+    }));
     
     res.json(filteredLog);
   } catch (err) {
@@ -254,67 +1420,271 @@ app.get('/api/documents/:id/history', async (req, res) => {
   }
 });
 
-// Rollback (Checkout content from commit and commit as new commit - can be undone)
-app.post('/api/documents/:id/rollback', async (req, res) => {
+// Occurrences of a text in content, ignoring case
+function countOccurrences(content, text) {
+  return content.toLowerCase().split(text.toLowerCase()).length - 1;
+}
+
+// Excerpt around the first occurrence of a text, HTML-escaped with the
+// occurrence wrapped in <mark>
+function excerptAround(content, text, context = 60) {
+  const index = content.toLowerCase().indexOf(text.toLowerCase());
+  if (index === -1) return '';
+  const start = Math.max(0, index - context);
+  const end = Math.min(content.length, index + text.length + context);
+  return highlightMatches(
+    (start > 0 ? '…' : '') +
+    content.slice(start, index) + MATCH_START +
+    content.slice(index, index + text.length) + MATCH_END +
+    content.slice(index + text.length, end) +
+    (end < content.length ? '…' : '')
+  );
+}
+
+// Search History - commits where a text was added to or removed from the
+// document (git's pickaxe, `log -S`, ignoring case), newest first. The text
+// is matched against the Markdown source of the document.
+app.get('/api/documents/:id/history/search', requireAuth, requireRole('reader'), async (req, res) => {
   const { id } = req.params;
-  const { hash } = req.body;
+  const text = typeof req.query.q === 'string' ? req.query.q : '';
+  if (!text.trim()) return res.status(400).json({ error: 'Search text is required' });
   
   try {
     const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
-    if (docRes.rows.length === 0) return res.status(404).send('Doc not found');
-    
     const fsPath = docRes.rows[0].fs_path;
-    const docPath = getDocumentPath(id);
-    const fullPath = path.join(docPath, fsPath);
     const git = getDocumentGit(id);
+    const log = await git.log([`-S${text}`, '--regexp-ignore-case', '--max-count=50', '--', fsPath]);
     
-    // Get current HEAD to ensure we're not resetting
-    const currentLog = await git.log();
-    const currentHead = currentLog.latest?.hash;
-    
-    // Get the file content from the target commit
-    let fileContent = '';
-    try {
-      fileContent = await git.show([`${hash}:${fsPath}`]);
-    } catch (showErr) {
-      // File might be empty at creation
-      fileContent = '';
+    const results = [];
+    for (const commit of log.all) {
+      const after = await getVersionContent(id, fsPath, commit.hash);
+      const before = await getVersionContent(id, fsPath, `${commit.hash}^`);
+      const countBefore = countOccurrences(before, text);
+      const countAfter = countOccurrences(after, text);
+      results.push({
+        hash: commit.hash,
+        date: commit.date,
+        message: commit.message,
+        authors: commitAuthors(commit),
+        change: countAfter > countBefore ? 'added' : 'removed',
+        occurrences: countAfter,
+        snippet: excerptAround(countAfter > countBefore ? after : before, text)
+      });
     }
     
-    // Read current file content to check if there are changes
-    let currentContent = '';
-    if (fs.existsSync(fullPath)) {
-      currentContent = fs.readFileSync(fullPath, 'utf8');
+    res.json(results);
+  } catch (err) {
+    console.error('History search error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Diff between two versions. `to` defaults to the current (possibly not yet
+// committed) content. Returns word-level changes of the Markdown source.
+app.get('/api/documents/:id/diff', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  if (!isValidRevision(from) || (to !== undefined && !isValidRevision(to))) {
+    return res.status(400).json({ error: 'Invalid commit hash' });
+  }
+
+  try {
+    const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
+    const fsPath = docRes.rows[0].fs_path;
+
+    const fromHash = await resolveHistoryCommit(id, from);
+    const toHash = to ? await resolveHistoryCommit(id, to) : null;
+    if (!fromHash || (to && !toHash)) return res.status(404).json({ error: 'Version not found' });
+
+    const oldContent = await getVersionContent(id, fsPath, fromHash);
+    const newContent = toHash ? await getVersionContent(id, fsPath, toHash) : await renderDocumentContent(id);
+
+    const changes = diffWordsWithSpace(oldContent, newContent).map(part => ({
+      type: part.added ? 'insert' : part.removed ? 'delete' : 'equal',
+      value: part.value
+    }));
+
+    res.json({ from, to: to || null, changes });
+  } catch (err) {
+    console.error('Diff error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List named versions, newest first
+app.get('/api/documents/:id/versions', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await db.query(`
+      SELECT v.id, v.name, v.commit_hash, v.created_at, u.username AS created_by
+      FROM versions v
+      LEFT JOIN users u ON v.created_by = u.id
+      WHERE v.document_id = $1
+      ORDER BY v.created_at DESC, v.id DESC
+    `, [id]);
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a named version. Names the given commit, or saves the current content
+// (committing it if it changed) and names the result.
+app.post('/api/documents/:id/versions', requireAuth, requireRole('writer'), async (req, res) => {
+  const { id } = req.params;
+  const { hash } = req.body;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) return res.status(400).json({ error: 'Version name is required' });
+  if (hash !== undefined && !isValidRevision(hash)) return res.status(400).json({ error: 'Invalid commit hash' });
+
+  try {
+    const existing = await db.query('SELECT id FROM versions WHERE document_id = $1 AND name = $2', [id, name]);
+    if (existing.rows.length > 0) return res.status(409).json({ error: 'A version with this name already exists' });
+
+    const git = getDocumentGit(id);
+    let commitHash;
+    if (hash) {
+      commitHash = await resolveHistoryCommit(id, hash);
+      if (!commitHash) return res.status(404).json({ error: 'Version not found' });
+    } else {
+      commitHash = await flushFileRender(id, true, name) || (await git.revparse(['HEAD'])).trim();
     }
-    
-    // Write the content to the file
-    fs.writeFileSync(fullPath, fileContent);
-    
-    // Get commit info for better message
-    let commitMessage = 'Revert to previous version';
-    try {
-      const commitInfo = await git.show([hash, '--format=%s', '--no-patch']);
-      commitMessage = `Revert to: ${commitInfo.trim().substring(0, 50)}`;
-    } catch (err) {
-      // Use default message if we can't get commit info
+
+    res.json(await createNamedVersion(id, name, commitHash, req.user));
+  } catch (err) {
+    console.error('Create version error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Read-only view of a single version (does not touch the live document)
+app.get('/api/documents/:id/versions/:hash', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id, hash } = req.params;
+  if (!isValidRevision(hash)) return res.status(400).json({ error: 'Invalid commit hash' });
+
+  try {
+    const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
+    const fsPath = docRes.rows[0].fs_path;
+    const git = getDocumentGit(id);
+
+    const commitHash = await resolveHistoryCommit(id, hash);
+    if (!commitHash) return res.status(404).json({ error: 'Version not found' });
+    const commit = (await git.log([commitHash, '-1'])).latest;
+
+    const content = await getVersionContent(id, fsPath, commit.hash);
+    res.json({
+      hash: commit.hash,
+      date: commit.date,
+      message: commit.message,
+      content,
+      html: jsonToHTML(parseStoredContent(content))
+    });
+  } catch (err) {
+    console.error('Version preview error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export - the document as a file in one of EXPORT_FORMATS (html, md, docx,
+// pdf), from its current content or, with `hash`, from a commit
+app.get('/api/documents/:id/export', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  const { format, hash } = req.query;
+  // Own keys only - `constructor` or `__proto__` are no formats
+  const exportFormat = typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+  if (!exportFormat) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (hash !== undefined && !isValidRevision(hash)) return res.status(400).json({ error: 'Invalid commit hash' });
+
+  try {
+    const docRes = await db.query('SELECT name, fs_path FROM documents WHERE id = $1', [id]);
+    const { name, fs_path: fsPath } = docRes.rows[0];
+
+    let content;
+    let fileName = name;
+    if (hash) {
+      const commitHash = await resolveHistoryCommit(id, hash);
+      if (!commitHash) return res.status(404).json({ error: 'Version not found' });
+      const commit = (await getDocumentGit(id).log([commitHash, '-1'])).latest;
+      content = await getVersionContent(id, fsPath, commit.hash);
+      fileName = `${name} (${commit.hash.substring(0, 7)})`;
+    } else {
+      content = await renderDocumentContent(id);
     }
+
+    const body = await exportDocument(content, name, format);
+    res.attachment(`${fileName.replace(/[\\/:*?"<>|]+/g, '_')}.${exportFormat.extension}`);
+    res.type(exportFormat.contentType);
+    res.send(body);
+  } catch (err) {
+    console.error('Export error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rollback (Checkout content from commit and commit as new commit - can be undone)
+app.post('/api/documents/:id/rollback', requireAuth, requireRole('writer'), async (req, res) => {
+  const { id } = req.params;
+  const { hash } = req.body;
+  if (!isValidRevision(hash)) return res.status(400).json({ error: 'Invalid commit hash' });
+  
+  try {
+    const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
+    if (docRes.rows.length === 0) return res.status(404).send('Doc not found');
     
-    // Stage the file
-    await git.add(fsPath);
+    const fsPath = docRes.rows[0].fs_path;
+    const docPath = getDocumentPath(id);
+    const fullPath = path.join(docPath, fsPath);
+    const git = getDocumentGit(id);
     
-    // Check if there are changes to commit
-    const status = await git.status();
-    const hasChanges = status.modified.includes(fsPath) || 
-                       status.not_added.includes(fsPath) || 
-                       (currentContent !== fileContent);
+    const target = await resolveHistoryCommit(id, hash);
+    if (!target) return res.status(404).json({ error: 'Version not found' });
     
-    if (hasChanges) {
-      // Commit the rollback (this creates a new commit, preserving history)
-      await git.commit(commitMessage);
-    } else {
-      // Even if content is the same, create an empty commit to mark the rollback
-      await git.commit(commitMessage, ['--allow-empty']);
-    }
+    // Runs after the writes and commits already queued for the document
+    await enqueueJob(id, 'rollback', async () => {
+      // Get the file content from the target commit
+      const fileContent = await getVersionContent(id, fsPath, target);
+      
+      // Read current file content to check if there are changes
+      let currentContent = '';
+      if (fs.existsSync(fullPath)) {
+        currentContent = fs.readFileSync(fullPath, 'utf8');
+      }
+      
+      // Write the content to the file and into the live Yjs document
+      await writeFileToDisk(id, fileContent);
+      await replaceDocumentContent(id, fileContent);
+      
+      // Get commit info for better message
+      let commitMessage = 'Revert to previous version';
+      try {
+        const commitInfo = await git.show([target, '--format=%s', '--no-patch']);
+        commitMessage = `Revert to: ${commitInfo.trim().substring(0, 50)}`;
+      } catch (err) {
+        // Use default message if we can't get commit info
+      }
+      
+      // Stage the file
+      await git.add(fsPath);
+      
+      // Check if there are changes to commit
+      const status = await git.status();
+      const hasChanges = status.modified.includes(fsPath) || 
+                         status.not_added.includes(fsPath) || 
+                         (currentContent !== fileContent);
+      
+      // The rollback is attributed to the user who initiated it
+      const author = { '--author': gitAuthor(req.user) };
+      if (hasChanges) {
+        // Commit the rollback (this creates a new commit, preserving history)
+        await git.commit(commitMessage, [], author);
+      } else {
+        // Even if content is the same, create an empty commit to mark the rollback
+        await git.commit(commitMessage, [], { ...author, '--allow-empty': null });
+      }
+      syncDocumentRemote(id);
+    }, GIT_JOB_OPTIONS);
     
     res.json({ success: true });
   } catch (err) {
@@ -324,21 +1694,43 @@ app.post('/api/documents/:id/rollback', async (req, res) => {
 });
 
 // Delete Document
-app.delete('/api/documents/:id', async (req, res) => {
+app.delete('/api/documents/:id', requireAuth, requireRole('owner'), async (req, res) => {
   const { id } = req.params;
   
   try {
     const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [id]);
     if (docRes.rows.length === 0) return res.status(404).json({error: 'Doc not found'});
     
-    // Delete entire document directory
-    const docPath = getDocumentPath(id);
-    if (fs.existsSync(docPath)) {
-      fs.rmSync(docPath, { recursive: true, force: true });
-    }
+    // Pending renders and autosave commits are dropped with the document
+    clearTimeout(fileRenderTimers.get(id));
+    fileRenderTimers.delete(id);
+    fileRenderDeadlines.delete(id);
+    clearTimeout(gitCommitTimers.get(id));
+    gitCommitTimers.delete(id);
+    pendingSnapshots.delete(id);
+    pendingContributors.delete(id);
+    
+    // Close the live collaboration room and drop the stored Yjs state
+    clearTimeout(stateSaveTimers.get(id));
+    stateSaveTimers.delete(id);
+    const liveDoc = ySocketIO.documents.get(id);
+    if (liveDoc) await liveDoc.destroy();
+    await db.query('DELETE FROM document_states WHERE document_id = $1', [id]);
+    await db.query('DELETE FROM versions WHERE document_id = $1', [id]);
+    await db.query('DELETE FROM comments WHERE document_id = $1', [id]);
+    await db.query('DELETE FROM document_search WHERE rowid = $1', [id]);
+    await db.query('DELETE FROM share_links WHERE document_id = $1', [id]);
+    await db.query('DELETE FROM document_remotes WHERE document_id = $1', [id]);
+    await db.query('DELETE FROM snapshot_policies WHERE document_id = $1', [id]);
+    snapshotPolicies.delete(id);
     
-    // Delete from database (cascade will delete permissions)
-    await db.query('DELETE FROM documents WHERE id = $1', [id]);
+    // Delete the document and its directory once the jobs already queued for
+    // it are done; jobs queued later find no document (cascade will delete
+    // permissions)
+    await enqueueJob(id, 'delete', async () => {
+      await db.query('DELETE FROM documents WHERE id = $1', [id]);
+      await fs.promises.rm(getDocumentPath(id), { recursive: true, force: true });
+    });
     
     res.json({ success: true });
   } catch (err) {
@@ -348,9 +1740,10 @@ app.delete('/api/documents/:id', async (req, res) => {
 });
 
 // Add Owner/Worker (Share)
-app.post('/api/documents/:id/share', async (req, res) => {
+app.post('/api/documents/:id/share', requireAuth, requireRole('owner'), async (req, res) => {
   const { id } = req.params;
-  const { username, role } = req.body; // role: 'writer' or 'reader'
+  const { username, role } = req.body; // role: 'owner', 'writer', 'suggester' or 'reader'
+  if (!ROLE_LEVELS[role]) return res.status(400).json({ error: 'Invalid role' });
   
   try {
     const userRes = await db.query('SELECT id FROM users WHERE username = $1', [username]);
@@ -359,22 +1752,26 @@ app.post('/api/documents/:id/share', async (req, res) => {
     const targetUserId = userRes.rows[0].id;
     
     // Get document info for notification
-    const docRes = await db.query('SELECT name FROM documents WHERE id = $1', [id]);
+    const docRes = await db.query('SELECT name, owner_id FROM documents WHERE id = $1', [id]);
     const docName = docRes.rows[0]?.name || 'Unknown';
+    if (docRes.rows[0]?.owner_id == targetUserId) {
+      return res.status(400).json({ error: "The document owner's role cannot be changed; transfer ownership instead" });
+    }
+    const previousRes = await db.query('SELECT role FROM permissions WHERE document_id = $1 AND user_id = $2', [id, targetUserId]);
+    const previousRole = previousRes.rows[0]?.role;
     
     await db.query(`
       INSERT INTO permissions (document_id, user_id, role)
       VALUES ($1, $2, $3)
-      ON CONFLICT (document_id, user_id) DO UPDATE SET role = $3
+      ON CONFLICT (document_id, user_id) DO UPDATE SET role = excluded.role
     `, [id, targetUserId, role]);
+    await refreshRoomAccess(id);
     
-    // Emit socket event to notify the user
-    io.emit('document-shared', {
-      userId: targetUserId,
-      documentId: id,
-      documentName: docName,
-      role: role
-    });
+    if (!previousRole) {
+      await notifyUser(targetUserId, 'shared', req.user, id, { document_name: docName, role });
+    } else if (previousRole !== role) {
+      await notifyUser(targetUserId, 'role-changed', req.user, id, { document_name: docName, role });
+    }
     
     res.json({ success: true });
   } catch (err) {
@@ -382,147 +1779,1442 @@ app.post('/api/documents/:id/share', async (req, res) => {
   }
 });
 
-// File write queue and git commit debouncing
-const fileWriteQueue = new Map(); // docId -> { content, timeout }
-const gitCommitTimers = new Map(); // docId -> timeout
-const gitLocks = new Map(); // docId -> boolean
-
-// Write file immediately (no git commit)
-async function writeFileToDisk(docId, content) {
-    try {
-        const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [docId]);
-        if (docRes.rows.length === 0) return false;
-        
-        const fsPath = docRes.rows[0].fs_path;
-        const docPath = getDocumentPath(docId);
-        const fullPath = path.join(docPath, fsPath);
-        
-        fs.writeFileSync(fullPath, content);
-        return true;
-    } catch(err) {
-        console.error('File write error:', err);
-        return false;
-    }
-}
+// Presence - who has the document open right now (see getDocumentPresence),
+// with the number of users editing and viewing it
+app.get('/api/documents/:id/presence', requireAuth, requireRole('reader'), (req, res) => {
+  const users = getDocumentPresence(req.params.id);
+  res.json({
+    editing: users.filter(user => user.mode === 'editing').length,
+    viewing: users.filter(user => user.mode === 'viewing').length,
+    users,
+  });
+});
 
-// Commit to git (called after debounce or manual save)
-async function commitToGit(docId) {
-    // Check if already committing
-    if (gitLocks.get(docId)) {
-        return;
-    }
+// List Collaborators - everyone with access to the document: its owner, users
+// it was shared with, and users with a role on one of its folders. `role` is
+// the effective role, `direct_role` the role given on the document itself and
+// `inherited_role` the highest role inherited from a folder (`inherited_from`).
+app.get('/api/documents/:id/permissions', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const docRes = await db.query('SELECT owner_id, folder_id FROM documents WHERE id = $1', [id]);
+    const { owner_id: ownerId, folder_id: folderId } = docRes.rows[0];
+    const collaborators = new Map(); // userId -> entry
+    const entry = (userId) => {
+      if (!collaborators.has(userId)) {
+        collaborators.set(userId, { user_id: userId, direct_role: null, inherited_role: null, inherited_from: null, is_owner: userId == ownerId });
+      }
+      return collaborators.get(userId);
+    };
     
-    gitLocks.set(docId, true);
+    entry(ownerId);
+    const permRes = await db.query('SELECT user_id, role FROM permissions WHERE document_id = $1', [id]);
+    permRes.rows.forEach(perm => { entry(perm.user_id).direct_role = perm.role; });
     
-    try {
-        const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [docId]);
-        if (docRes.rows.length === 0) {
-            gitLocks.delete(docId);
-            return;
-        }
-        
-        const fsPath = docRes.rows[0].fs_path;
-        const git = getDocumentGit(docId);
-        const status = await git.status();
-        
-        if (status.modified.includes(fsPath) || status.not_added.includes(fsPath)) {
-            await git.add(fsPath);
-            await git.commit(`Update document`);
+    if (folderId) {
+      // Owners of and roles on the folder and its parents
+      const folderRes = await db.query(`
+        WITH RECURSIVE chain(id, parent_id, owner_id) AS (
+          SELECT id, parent_id, owner_id FROM folders WHERE id = $1
+          UNION ALL
+          SELECT f.id, f.parent_id, f.owner_id FROM folders f JOIN chain c ON f.id = c.parent_id
+        )
+        SELECT c.id AS folder_id, c.owner_id AS user_id, 'owner' AS role FROM chain c
+        UNION ALL
+        SELECT fp.folder_id, fp.user_id, fp.role FROM chain c JOIN folder_permissions fp ON fp.folder_id = c.id
+      `, [folderId]);
+      for (const perm of folderRes.rows) {
+        const collaborator = entry(perm.user_id);
+        if (highestRole(collaborator.inherited_role, perm.role) !== collaborator.inherited_role) {
+          collaborator.inherited_role = perm.role;
+          collaborator.inherited_from = await getFolderPath(perm.folder_id);
         }
-    } catch(err) {
-        console.error('Git commit error:', err);
-    } finally {
-        gitLocks.delete(docId);
-    }
-}
-
-// Queue file write with debouncing
-function queueFileWrite(docId, content, immediateGit = false) {
-    // Clear existing timeout
-    if (fileWriteQueue.has(docId)) {
-        clearTimeout(fileWriteQueue.get(docId).timeout);
+      }
     }
     
-    // Write to file immediately (no debounce for file writes)
-    writeFileToDisk(docId, content);
-    
-    // Handle git commit
-    if (immediateGit) {
-        // Manual save - commit immediately
-        clearTimeout(gitCommitTimers.get(docId));
-        gitCommitTimers.delete(docId);
-        commitToGit(docId);
-    } else {
-        // Auto-save - debounce git commit for 1 minute
-        clearTimeout(gitCommitTimers.get(docId));
-        
-        const timer = setTimeout(() => {
-            commitToGit(docId);
-            gitCommitTimers.delete(docId);
-        }, 60000); // 1 minute
-        
-        gitCommitTimers.set(docId, timer);
+    const userRes = await db.query('SELECT id, username FROM users');
+    const usernames = new Map(userRes.rows.map(user => [user.id, user.username]));
+    const list = [...collaborators.values()]
+      .filter(collaborator => usernames.has(collaborator.user_id))
+      .map(collaborator => ({
+        ...collaborator,
+        username: usernames.get(collaborator.user_id),
+        role: collaborator.is_owner ? 'owner' : highestRole(collaborator.direct_role, collaborator.inherited_role)
+      }))
+      .sort((a, b) => ROLE_LEVELS[b.role] - ROLE_LEVELS[a.role] || a.username.localeCompare(b.username));
+    res.json(list);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke Access - removes the role given on the document. Roles inherited
+// from folders have to be removed on the folder. Clients of the user in the
+// document's live room are disconnected if they have no access left.
+app.delete('/api/documents/:id/permissions/:userId', requireAuth, requireRole('owner'), async (req, res) => {
+  const { id, userId } = req.params;
+  
+  try {
+    const docRes = await db.query('SELECT owner_id FROM documents WHERE id = $1', [id]);
+    if (docRes.rows[0].owner_id == userId) {
+      return res.status(400).json({ error: "The document owner's access cannot be removed; transfer ownership instead" });
     }
+    
+    const result = await db.query('DELETE FROM permissions WHERE document_id = $1 AND user_id = $2', [id, userId]);
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Permission not found' });
+    
+    await refreshRoomAccess(id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Share links. A link is a random token (only its hash is stored, like session
+// tokens) that gives whoever redeems it a role on the document. Links may
+// expire, require a password, and allow reading the document without an
+// account. Revoking a link stops new redemptions; roles already granted
+// through it stay until they are removed in the collaborator list.
+const SHARE_LINK_ROLES = ['writer', 'suggester', 'reader'];
+
+function formatShareLink(link) {
+  return {
+    id: link.id,
+    role: link.role,
+    has_password: !!link.password,
+    allow_anonymous: !!link.allow_anonymous,
+    expires_at: link.expires_at,
+    created_at: link.created_at
+  };
 }
 
-// Get user's role for a document
-async function getUserDocumentRole(userId, documentId) {
+// Look up a link by its token. Returns { link } or { status, error } for
+// unknown (or revoked) and expired links.
+async function resolveShareLink(token) {
+  const result = await db.query(`
+    SELECT l.*, d.name AS document_name
+    FROM share_links l
+    INNER JOIN documents d ON d.id = l.document_id
+    WHERE l.token_hash = $1
+  `, [hashToken(String(token))]);
+  const link = result.rows[0];
+  if (!link) return { status: 404, error: 'Link not found' };
+  if (link.expires_at && link.expires_at < Date.now()) return { status: 410, error: 'Link expired' };
+  return { link };
+}
+
+function checkLinkPassword(link, password) {
+  return !link.password || (typeof password === 'string' && verifyPassword(password, link.password));
+}
+
+// List Share Links
+app.get('/api/documents/:id/links', requireAuth, requireRole('owner'), async (req, res) => {
   try {
-    // Check if user is owner
-    const ownerRes = await db.query('SELECT owner_id FROM documents WHERE id = $1', [documentId]);
-    if (ownerRes.rows.length === 0) return null;
-    if (ownerRes.rows[0].owner_id == userId) return 'owner';
+    const result = await db.query('SELECT * FROM share_links WHERE document_id = $1 ORDER BY created_at DESC', [req.params.id]);
+    res.json(result.rows.map(formatShareLink));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create Share Link - { role, expires_at?, password?, allow_anonymous? }.
+// The token is only returned here.
+app.post('/api/documents/:id/links', requireAuth, requireRole('owner'), async (req, res) => {
+  const { id } = req.params;
+  const { role, password, allow_anonymous: allowAnonymous } = req.body || {};
+  const expiresAt = req.body?.expires_at ?? null;
+  if (!SHARE_LINK_ROLES.includes(role)) return res.status(400).json({ error: 'Invalid role' });
+  if (expiresAt !== null && !(Number.isInteger(expiresAt) && expiresAt > Date.now())) {
+    return res.status(400).json({ error: 'Expiry must be a time in the future' });
+  }
+  
+  try {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const result = await db.query(`
+      INSERT INTO share_links (token_hash, document_id, role, password, allow_anonymous, expires_at, created_by, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+    `, [hashToken(token), id, role, password ? hashPassword(password) : null, allowAnonymous ? 1 : 0, expiresAt, req.user.id, Date.now()]);
+    res.json({ ...formatShareLink(result.rows[0]), token });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke Share Link
+app.delete('/api/documents/:id/links/:linkId', requireAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const result = await db.query('DELETE FROM share_links WHERE id = $1 AND document_id = $2', [req.params.linkId, req.params.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Link not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Share Link Info - what a link leads to, so the client can ask for a
+// password or offer anonymous reading. No session needed.
+app.get('/api/links/:token', async (req, res) => {
+  try {
+    const { link, status, error } = await resolveShareLink(req.params.token);
+    if (!link) return res.status(status).json({ error });
+    res.json({ ...formatShareLink(link), document_name: link.document_name });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Redeem Share Link - gives the current user the link's role on the document
+// ({ password } if the link has one). Higher roles the user already has are kept.
+app.post('/api/links/:token/redeem', requireAuth, async (req, res) => {
+  try {
+    const { link, status, error } = await resolveShareLink(req.params.token);
+    if (!link) return res.status(status).json({ error });
+    if (!checkLinkPassword(link, req.body?.password)) return res.status(403).json({ error: 'Wrong password' });
     
-    // Check permissions table
-    const permRes = await db.query(
-      'SELECT role FROM permissions WHERE document_id = $1 AND user_id = $2',
-      [documentId, userId]
+    const currentRole = await getUserDocumentRole(req.user.id, link.document_id);
+    if (!hasRole(currentRole, link.role)) {
+      await db.query(`
+        INSERT INTO permissions (document_id, user_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (document_id, user_id) DO UPDATE SET role = excluded.role
+      `, [link.document_id, req.user.id, link.role]);
+      await refreshRoomAccess(link.document_id);
+    }
+    
+    res.json({
+      document_id: link.document_id,
+      document_name: link.document_name,
+      role: highestRole(currentRole, link.role)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Anonymous View - read-only snapshot of the current content through a link
+// that allows it ({ password } if the link has one). No session needed.
+app.post('/api/links/:token/view', async (req, res) => {
+  try {
+    const { link, status, error } = await resolveShareLink(req.params.token);
+    if (!link) return res.status(status).json({ error });
+    if (!link.allow_anonymous) return res.status(403).json({ error: 'This link requires an account' });
+    if (!checkLinkPassword(link, req.body?.password)) return res.status(403).json({ error: 'Wrong password' });
+    
+    const content = await renderDocumentContent(link.document_id);
+    res.json({
+      document_name: link.document_name,
+      content,
+      html: jsonToHTML(parseStoredContent(content))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Folders. Documents and folders have an optional parent folder (folder_id /
+// parent_id, null for the top level). A role on a folder applies to everything
+// inside it; a document's role is the highest of its own and its folders'.
+
+// List the folders the current user can see. A folder whose parent is not
+// visible to the user is shown at the top level.
+app.get('/api/folders', requireAuth, async (req, res) => {
+  try {
+    const folderRes = await db.query('SELECT id, name, parent_id, owner_id, created_at FROM folders ORDER BY name');
+    const roles = await getUserFolderRoles(req.user.id);
+    
+    const folders = folderRes.rows
+      .filter(folder => roles.get(folder.id))
+      .map(folder => ({
+        ...folder,
+        parent_id: roles.get(folder.parent_id) ? folder.parent_id : null,
+        role: roles.get(folder.id)
+      }));
+    res.json(folders);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create Folder ({ name, parent_id })
+app.post('/api/folders', requireAuth, async (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const parentId = req.body.parent_id ?? null;
+  if (!name || name.includes('/')) return res.status(400).json({ error: 'Invalid folder name' });
+  
+  try {
+    const folderError = await checkTargetFolder(req.user.id, parentId);
+    if (folderError) return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
+    
+    const result = await db.query(
+      'INSERT INTO folders (name, parent_id, owner_id) VALUES ($1, $2, $3) RETURNING *',
+      [name, parentId, req.user.id]
     );
-    if (permRes.rows.length > 0) return permRes.rows[0].role;
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename a folder ({ name }, writer) or move it ({ parent_id }, owner)
+app.patch('/api/folders/:id', requireAuth, requireFolderRole('writer'), async (req, res) => {
+  const { id } = req.params;
+  const { name, parent_id: parentId } = req.body;
+  
+  try {
+    // Check everything first, so a refused change leaves the folder as it was
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.includes('/'))) {
+      return res.status(400).json({ error: 'Invalid folder name' });
+    }
+    if (parentId !== undefined) {
+      if (!hasRole(req.folderRole, 'owner')) {
+        return res.status(403).json({ error: 'Forbidden: You need owner access to this folder' });
+      }
+      const folderError = await checkTargetFolder(req.user.id, parentId);
+      if (folderError) return res.status(folderError === 'Folder not found' ? 404 : 403).json({ error: folderError });
+      if (parentId !== null && await isInFolder(parentId, id)) {
+        return res.status(400).json({ error: 'A folder cannot be moved into itself' });
+      }
+    }
     
-    return null;
+    if (name !== undefined) {
+      await db.query('UPDATE folders SET name = $1 WHERE id = $2', [name.trim(), id]);
+    }
+    
+    if (parentId !== undefined) {
+      await db.query('UPDATE folders SET parent_id = $1 WHERE id = $2', [parentId, id]);
+      await refreshAllRoomAccess();
+    }
+    
+    await updateDocumentPaths(id);
+    const result = await db.query('SELECT * FROM folders WHERE id = $1', [id]);
+    res.json(result.rows[0]);
   } catch (err) {
-    console.error('Error getting user role:', err);
-    return null;
+    res.status(500).json({ error: err.message });
   }
-}
+});
 
-// Save Document (auto-save - file write immediately, git commit debounced)
-app.post('/api/documents/:id/save', async (req, res) => {
-    const { id } = req.params;
-    const { content, userId } = req.body;
+// Delete Folder - its documents and subfolders move up to the parent folder
+app.delete('/api/folders/:id', requireAuth, requireFolderRole('owner'), async (req, res) => {
+  const { id } = req.params;
+  
+  try {
+    const folderRes = await db.query('SELECT parent_id FROM folders WHERE id = $1', [id]);
+    const parentId = folderRes.rows[0].parent_id;
     
-    // Check permissions
-    const role = await getUserDocumentRole(userId, id);
-    if (!role || (role !== 'owner' && role !== 'writer')) {
-        return res.status(403).json({ error: 'Forbidden: You do not have write permission for this document' });
+    await db.query('UPDATE documents SET folder_id = $1, path = $2 WHERE folder_id = $3',
+      [parentId, await getFolderPath(parentId), id]);
+    const subfolderRes = await db.query('SELECT id FROM folders WHERE parent_id = $1', [id]);
+    await db.query('UPDATE folders SET parent_id = $1 WHERE parent_id = $2', [parentId, id]);
+    await db.query('DELETE FROM folder_permissions WHERE folder_id = $1', [id]);
+    await db.query('DELETE FROM folders WHERE id = $1', [id]);
+    
+    for (const subfolder of subfolderRes.rows) {
+      await updateDocumentPaths(subfolder.id);
     }
+    await refreshAllRoomAccess();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Share Folder - the role applies to every document and folder inside it
+app.post('/api/folders/:id/share', requireAuth, requireFolderRole('owner'), async (req, res) => {
+  const { id } = req.params;
+  const { username, role } = req.body;
+  if (!ROLE_LEVELS[role]) return res.status(400).json({ error: 'Invalid role' });
+  
+  try {
+    const userRes = await db.query('SELECT id FROM users WHERE username = $1', [username]);
+    if (userRes.rows.length === 0) return res.status(404).json({error: 'User not found'});
+    const targetUserId = userRes.rows[0].id;
+    const previousRes = await db.query('SELECT role FROM folder_permissions WHERE folder_id = $1 AND user_id = $2', [id, targetUserId]);
+    const previousRole = previousRes.rows[0]?.role;
+    
+    await db.query(`
+      INSERT INTO folder_permissions (folder_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (folder_id, user_id) DO UPDATE SET role = excluded.role
+    `, [id, targetUserId, role]);
+    await refreshAllRoomAccess();
     
-    // Queue file write (immediate) and git commit (debounced)
-    queueFileWrite(id, content, false);
+    if (previousRole !== role) {
+      const folderRes = await db.query('SELECT name FROM folders WHERE id = $1', [id]);
+      await notifyUser(targetUserId, previousRole ? 'role-changed' : 'shared', req.user, null,
+        { folder_id: Number(id), folder_name: folderRes.rows[0].name, role });
+    }
     
     res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Comments. A thread is a top-level comment anchored to a text range (a pair
+// of Yjs relative positions, JSON-encoded by the client, so the range follows
+// concurrent edits); replies have a parent_id. Every role may comment.
+
+// Tell the clients in the document's room to reload the comments
+function notifyCommentsChanged(docId) {
+  const liveDoc = ySocketIO.documents.get(String(docId));
+  if (liveDoc) liveDoc.namespace.emit('comments-updated', { documentId: String(docId) });
+}
+
+// Fetch a comment of the given document (undefined if it does not exist)
+async function getComment(docId, commentId) {
+  const result = await db.query('SELECT * FROM comments WHERE id = $1 AND document_id = $2', [commentId, docId]);
+  return result.rows[0];
+}
+
+// List comment threads with their replies, oldest first
+app.get('/api/documents/:id/comments', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await db.query(`
+      SELECT c.*, u.username AS author, r.username AS resolved_by_name
+      FROM comments c
+      LEFT JOIN users u ON c.user_id = u.id
+      LEFT JOIN users r ON c.resolved_by = r.id
+      WHERE c.document_id = $1
+      ORDER BY c.created_at, c.id
+    `, [id]);
+
+    const threads = [];
+    const byId = new Map();
+    for (const row of result.rows) {
+      const comment = {
+        id: row.id,
+        body: row.body,
+        author: row.author,
+        user_id: row.user_id,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      };
+      if (row.parent_id === null) {
+        Object.assign(comment, {
+          anchor: row.anchor ? JSON.parse(row.anchor) : null,
+          quote: row.quote,
+          resolved: !!row.resolved,
+          resolved_by: row.resolved_by_name || null,
+          replies: []
+        });
+        threads.push(comment);
+        byId.set(row.id, comment);
+      } else if (byId.has(row.parent_id)) {
+        byId.get(row.parent_id).replies.push(comment);
+      }
+    }
+
+    res.json(threads);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start a thread on a text range: { body, anchor: { start, end }, quote }
+app.post('/api/documents/:id/comments', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id } = req.params;
+  const { anchor, quote } = req.body;
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+  if (!body) return res.status(400).json({ error: 'Comment text is required' });
+  if (!anchor || typeof anchor !== 'object' || !anchor.start || !anchor.end) {
+    return res.status(400).json({ error: 'Comment anchor is required' });
+  }
+
+  try {
+    const now = Date.now();
+    const result = await db.query(`
+      INSERT INTO comments (document_id, user_id, body, anchor, quote, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+    `, [id, req.user.id, body, JSON.stringify({ start: anchor.start, end: anchor.end }), typeof quote === 'string' ? quote : null, now, now]);
+
+    notifyCommentsChanged(id);
+    await notifyCommentRecipients(id, result.rows[0].id, body, req.user, []);
+    res.json({ id: result.rows[0].id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reply to a thread
+app.post('/api/documents/:id/comments/:commentId/replies', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id, commentId } = req.params;
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+  if (!body) return res.status(400).json({ error: 'Comment text is required' });
+
+  try {
+    const thread = await getComment(id, commentId);
+    if (!thread || thread.parent_id !== null) return res.status(404).json({ error: 'Comment not found' });
+
+    const now = Date.now();
+    const result = await db.query(`
+      INSERT INTO comments (document_id, parent_id, user_id, body, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+    `, [id, thread.id, req.user.id, body, now, now]);
+
+    // Everyone who took part in the thread hears about the reply
+    const participantRes = await db.query('SELECT DISTINCT user_id FROM comments WHERE id = $1 OR parent_id = $1', [thread.id, thread.id]);
+    notifyCommentsChanged(id);
+    await notifyCommentRecipients(id, thread.id, body, req.user, participantRes.rows.map(row => row.user_id));
+    res.json({ id: result.rows[0].id });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve or reopen a thread ({ resolved }), or edit the text of your own comment ({ body })
+app.patch('/api/documents/:id/comments/:commentId', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id, commentId } = req.params;
+  const { resolved, body } = req.body;
+
+  try {
+    const comment = await getComment(id, commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+
+    if (body !== undefined) {
+      if (comment.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Forbidden: You can only edit your own comments' });
+      }
+      if (typeof body !== 'string' || !body.trim()) return res.status(400).json({ error: 'Comment text is required' });
+      await db.query('UPDATE comments SET body = $1, updated_at = $2 WHERE id = $3', [body.trim(), Date.now(), comment.id]);
+    }
+
+    if (resolved !== undefined) {
+      if (comment.parent_id !== null) return res.status(400).json({ error: 'Only threads can be resolved' });
+      await db.query('UPDATE comments SET resolved = $1, resolved_by = $2, updated_at = $3 WHERE id = $4',
+        [resolved ? 1 : 0, resolved ? req.user.id : null, Date.now(), comment.id]);
+    }
+
+    notifyCommentsChanged(id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delete a comment (its author or a document owner). Deleting a thread removes its replies.
+app.delete('/api/documents/:id/comments/:commentId', requireAuth, requireRole('reader'), async (req, res) => {
+  const { id, commentId } = req.params;
+
+  try {
+    const comment = await getComment(id, commentId);
+    if (!comment) return res.status(404).json({ error: 'Comment not found' });
+    if (comment.user_id !== req.user.id && !hasRole(req.documentRole, 'owner')) {
+      return res.status(403).json({ error: 'Forbidden: You can only delete your own comments' });
+    }
+
+    await db.query('DELETE FROM comments WHERE parent_id = $1', [comment.id]);
+    await db.query('DELETE FROM comments WHERE id = $1', [comment.id]);
+
+    notifyCommentsChanged(id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Notifications. Stored per user (so they survive until read) and pushed to
+// the user's socket room. Types: 'shared' and 'role-changed' (for a document,
+// or a folder with folder_id/folder_name in the data), 'mentioned' (@username
+// in a comment) and 'comment-reply'. Users are not notified of their own actions.
+function formatNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    actor: row.actor_name || null,
+    document_id: row.document_id,
+    ...JSON.parse(row.data),
+    read: row.read_at !== null,
+    created_at: row.created_at
+  };
+}
+
+async function notifyUser(userId, type, actor, documentId, data) {
+  if (actor && actor.id == userId) return;
+  const result = await db.query(`
+    INSERT INTO notifications (user_id, type, actor_id, document_id, data, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+  `, [userId, type, actor ? actor.id : null, documentId === null ? null : Number(documentId), JSON.stringify(data), Date.now()]);
+  io.to(userRoom(userId)).emit('notification', formatNotification({ ...result.rows[0], actor_name: actor?.username }));
+}
+
+// Users mentioned with @username in a comment, if they can read the document
+async function getMentionedUsers(docId, body) {
+  const names = [...new Set([...body.matchAll(/@([^\s@,;:!?()]+)/g)].map(m => m[1].replace(/\.+$/, '')))];
+  const users = [];
+  for (const name of names) {
+    const userRes = await db.query('SELECT id FROM users WHERE username = $1', [name]);
+    const user = userRes.rows[0];
+    if (user && await getUserDocumentRole(user.id, docId)) users.push(user.id);
+  }
+  return users;
+}
+
+// Notify the users mentioned in a new comment, and the participants of the
+// thread it replies to (a mention takes precedence over the reply notification)
+async function notifyCommentRecipients(docId, threadId, body, author, participants) {
+  const docRes = await db.query('SELECT name FROM documents WHERE id = $1', [docId]);
+  const data = { document_name: docRes.rows[0].name, comment_id: threadId, excerpt: body.slice(0, 140) };
+  const mentioned = await getMentionedUsers(docId, body);
+  for (const userId of mentioned) {
+    await notifyUser(userId, 'mentioned', author, docId, data);
+  }
+  for (const userId of participants) {
+    if (!mentioned.includes(userId)) await notifyUser(userId, 'comment-reply', author, docId, data);
+  }
+}
+
+// List Notifications - the latest 50 and the number of unread ones
+app.get('/api/notifications', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT n.*, u.username AS actor_name
+      FROM notifications n
+      LEFT JOIN users u ON u.id = n.actor_id
+      WHERE n.user_id = $1
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT 50
+    `, [req.user.id]);
+    const unreadRes = await db.query('SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL', [req.user.id]);
+    res.json({ notifications: result.rows.map(formatNotification), unread: unreadRes.rows[0].count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark All Notifications as Read
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+  try {
+    await db.query('UPDATE notifications SET read_at = $1 WHERE user_id = $2 AND read_at IS NULL', [Date.now(), req.user.id]);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Mark a Notification as Read
+app.post('/api/notifications/:id/read', requireAuth, async (req, res) => {
+  try {
+    const result = await db.query('UPDATE notifications SET read_at = COALESCE(read_at, $1) WHERE id = $2 AND user_id = $3',
+      [Date.now(), req.params.id, req.user.id]);
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Notification not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Users who edited a document since its last commit
+const pendingContributors = new Map(); // docId -> Map(userId -> user)
+
+function recordContributor(docId, user) {
+    if (!user) return;
+    if (!pendingContributors.has(docId)) pendingContributors.set(docId, new Map());
+    pendingContributors.get(docId).set(user.id, user);
+}
+
+// File write queue and git commit debouncing
+const FILE_RENDER_DEBOUNCE_MS = 1000;
+const FILE_RENDER_MAX_WAIT_MS = 5000;
+const fileRenderTimers = new Map(); // docId -> timeout
+const fileRenderDeadlines = new Map(); // docId -> time by which the pending render runs
+const gitCommitTimers = new Map(); // docId -> timeout
+
+// File writes, commits, rollbacks, merges, compaction and deletion of a
+// document run as jobs of its queue (document_queue.js), one at a time. Jobs
+// that fail in git (e.g. on an index.lock left by another git process) are
+// retried.
+const GIT_JOB_OPTIONS = {
+    retries: 3,
+    retryDelayMs: 500,
+    retryIf: err => err instanceof GitError
+};
+
+// Snapshot policy - when autosaved changes are committed. The defaults come
+// from the environment; a document can override each of them
+// (snapshot_policies, NULL = default). A limit of 0 turns it off.
+const DEFAULT_SNAPSHOT_POLICY = {
+    idle_ms: Number(process.env.SNAPSHOT_IDLE_MS ?? 60000),
+    max_interval_ms: Number(process.env.SNAPSHOT_MAX_INTERVAL_MS ?? 10 * 60000),
+    max_changes: Number(process.env.SNAPSHOT_MAX_CHANGES ?? 500),
+    compact_after_days: Number(process.env.HISTORY_COMPACT_AFTER_DAYS ?? 0),
+};
+const SNAPSHOT_POLICY_FIELDS = Object.keys(DEFAULT_SNAPSHOT_POLICY);
+const snapshotPolicies = new Map(); // docId -> policy (cache)
+const pendingSnapshots = new Map(); // docId -> { since, changes } since the last commit
+
+async function getSnapshotPolicy(docId) {
+    docId = String(docId);
+    if (!snapshotPolicies.has(docId)) {
+        const result = await db.query('SELECT * FROM snapshot_policies WHERE document_id = $1', [docId]);
+        const custom = result.rows[0] || {};
+        const policy = {};
+        SNAPSHOT_POLICY_FIELDS.forEach(field => {
+            policy[field] = custom[field] ?? DEFAULT_SNAPSHOT_POLICY[field];
+        });
+        snapshotPolicies.set(docId, policy);
+    }
+    return snapshotPolicies.get(docId);
+}
+
+// Count changes (Yjs updates, or writes from outside a live session) made
+// since the document's last commit
+function noteSnapshotChange(docId, count = 1) {
+    docId = String(docId);
+    const pending = pendingSnapshots.get(docId) || { since: Date.now(), changes: 0 };
+    pending.changes += count;
+    pendingSnapshots.set(docId, pending);
+    return pending;
+}
+
+// Write the document's file (no git commit) and update the search index.
+// Runs as a job of the document's queue.
+async function writeFileToDisk(docId, content) {
+    const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [docId]);
+    if (docRes.rows.length === 0) return false;
+    
+    const fsPath = docRes.rows[0].fs_path;
+    const docPath = getDocumentPath(docId);
+    const fullPath = path.join(docPath, fsPath);
+    
+    await writeFileAtomic(fullPath, content);
+    await indexDocument(docId, content);
+    return true;
+}
+
+// Commits without a message of their own (snapshot policy, shutdown, before
+// merging from a remote) are autosaves: they get AUTOSAVE_MESSAGE and the
+// AUTOSAVE_TRAILER, which history compaction looks for
+const AUTOSAVE_MESSAGE = 'Update document';
+const AUTOSAVE_TRAILER = 'Autosave: true';
+
+// Commit the document's file if it changed. Runs as a job of the document's
+// queue; resolves to the new commit hash, or null when nothing was committed.
+async function commitDocument(docId, commitMessage = null) {
+    // Everything written so far is part of this snapshot
+    pendingSnapshots.delete(docId);
+    
+    const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [docId]);
+    if (docRes.rows.length === 0) return null;
+    
+    const fsPath = docRes.rows[0].fs_path;
+    const git = getDocumentGit(docId);
+    const status = await git.status();
+    if (!status.modified.includes(fsPath) && !status.not_added.includes(fsPath)) return null;
+    
+    // First contributor is the author, everyone else a co-author
+    const contributors = [...(pendingContributors.get(docId)?.values() || [])];
+    const trailers = commitMessage ? [] : [AUTOSAVE_TRAILER];
+    const options = {};
+    if (contributors.length > 0) {
+        options['--author'] = gitAuthor(contributors[0]);
+    }
+    contributors.slice(1).forEach(user => trailers.push(`Co-authored-by: ${gitAuthor(user)}`));
+    const message = [commitMessage || AUTOSAVE_MESSAGE];
+    if (trailers.length > 0) message.push(trailers.join('\n'));
+    
+    await git.add(fsPath);
+    const result = await git.commit(message, [], options);
+    // Only now - a failed commit is retried with the same authors
+    contributors.forEach(user => pendingContributors.get(docId)?.delete(user.id));
+    if (pendingContributors.get(docId)?.size === 0) pendingContributors.delete(docId);
+    
+    if (result.commit) syncDocumentRemote(docId);
+    return result.commit || null;
+}
+
+// Commit to git (called after debounce or manual save), after the jobs
+// already queued for the document; an autosave without `commitMessage`.
+// Resolves to the new commit hash, or null when nothing was committed; rejects
+// (after logging) if the commit still fails after the retries.
+async function commitToGit(docId, commitMessage = null) {
+    try {
+        return await enqueueJob(docId, 'commit', () => commitDocument(docId, commitMessage), GIT_JOB_OPTIONS);
+    } catch(err) {
+        console.error('Git commit error:', err);
+        throw err;
+    }
+}
+
+// Commit after a file write. For immediate commits, resolves to the result of
+// commitToGit. Otherwise the commit follows the document's snapshot policy:
+// after `idle_ms` without writes, or right away once `max_interval_ms` passed
+// since the first uncommitted change or `max_changes` were made.
+async function scheduleCommit(docId, immediateGit = false, commitMessage) {
+    clearTimeout(gitCommitTimers.get(docId));
+    gitCommitTimers.delete(docId);
+    if (immediateGit) {
+        // Manual save - commit immediately
+        return commitToGit(docId, commitMessage);
+    }
+    
+    const policy = await getSnapshotPolicy(docId);
+    const pending = noteSnapshotChange(docId, 0);
+    const tooOld = policy.max_interval_ms > 0 && Date.now() - pending.since >= policy.max_interval_ms;
+    const tooMany = policy.max_changes > 0 && pending.changes >= policy.max_changes;
+    // Failures are logged by commitToGit; the changes go into the next commit
+    if (tooOld || tooMany) {
+        commitToGit(docId).catch(() => {});
+        return null;
+    }
+    
+    gitCommitTimers.set(docId, setTimeout(() => {
+        gitCommitTimers.delete(docId);
+        commitToGit(docId).catch(() => {});
+    }, policy.idle_ms));
+    return null;
+}
+
+// Git remote sync. A document's repository can be mirrored to a remote: its
+// own (document_remotes), or the shared one configured with GIT_REMOTE_URL and
+// GIT_REMOTE_BRANCH, where {id} stands for the document id (a repository per
+// document, or one repository with a branch per document). New commits are
+// pushed after they are made; commits pushed to the remote from elsewhere are
+// fetched and merged, and the merged content is applied to the Yjs state.
+const REMOTE_NAME = 'origin';
+const GIT_REMOTE_URL = process.env.GIT_REMOTE_URL || '';
+const GIT_REMOTE_BRANCH = process.env.GIT_REMOTE_BRANCH || 'main';
+const GIT_SYNC_INTERVAL_MS = Number(process.env.GIT_SYNC_INTERVAL_MS ?? 60000);
+// Directories (separated by ':') below which local repositories may be used
+// as remotes; none by default
+const GIT_REMOTE_LOCAL_PATHS = (process.env.GIT_REMOTE_LOCAL_PATHS || '')
+    .split(path.delimiter).filter(Boolean).map(dir => realPath(dir));
+const remoteSyncs = new Map(); // docId -> { running, queued }
+const remoteSyncStatus = new Map(); // docId -> { synced_at, merged, error }
+
+function realPath(target) {
+    try {
+        return fs.realpathSync(target);
+    } catch (err) {
+        return path.resolve(target);
+    }
+}
+
+function isInside(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Local repositories are only accepted below GIT_REMOTE_LOCAL_PATHS, and never
+// in the document storage: fetching another document's repository would copy
+// its history into this one
+function isAllowedLocalRemote(localPath) {
+    const target = realPath(localPath);
+    if (isInside(realPath(STORAGE_PATH), target)) return false;
+    return GIT_REMOTE_LOCAL_PATHS.some(dir => isInside(dir, target));
+}
+
+// Only URLs of git's regular transports (and allowed local paths) are
+// accepted - no ext:: commands, and nothing git could read as an option
+function isValidRemoteUrl(url) {
+    if (typeof url !== 'string' || !url || url.startsWith('-') || /\s/.test(url)) return false;
+    if (/^file:\/\//i.test(url)) {
+        let localPath;
+        try {
+            localPath = fileURLToPath(url);
+        } catch (err) {
+            return false; // file://host/...
+        }
+        return isAllowedLocalRemote(localPath);
+    }
+    if (/^(https?|ssh|git):\/\//i.test(url)) return true;
+    if (path.isAbsolute(url)) return isAllowedLocalRemote(url);
+    return /^[\w.-]+@[\w.-]+:[^:]/.test(url); // scp-like ssh, user@host:path
+}
+
+function isValidBranchName(branch) {
+    return typeof branch === 'string' && /^[\w][\w./-]*$/.test(branch) &&
+        !branch.includes('..') && !branch.endsWith('/') && !branch.endsWith('.lock');
+}
+
+// Passwords and tokens in remote URLs are not shown
+function maskRemoteUrl(text) {
+    return String(text).replace(/(\/\/[^/@:\s]+):[^/@\s]+@/g, '$1:***@');
+}
+
+async function getDocumentRemote(docId) {
+    const result = await db.query('SELECT url, branch FROM document_remotes WHERE document_id = $1', [docId]);
+    if (result.rows.length > 0) return { ...result.rows[0], shared: false };
+    if (!GIT_REMOTE_URL) return null;
+    return {
+        url: GIT_REMOTE_URL.replace(/\{id\}/g, docId),
+        branch: GIT_REMOTE_BRANCH.replace(/\{id\}/g, docId),
+        shared: true
+    };
+}
+
+async function setRemoteUrl(git, url) {
+    const remotes = await git.getRemotes(true);
+    const remote = remotes.find(({ name }) => name === REMOTE_NAME);
+    if (!remote) {
+        await git.addRemote(REMOTE_NAME, url);
+    } else if (remote.refs.fetch !== url) {
+        await git.remote(['set-url', REMOTE_NAME, url]);
+    }
+}
+
+// Merge the remote's new commits. The document is committed first, so the
+// merge starts from a clean working tree. A merge that conflicts is aborted
+// and redone with -X ours, so the document's side wins where both sides
+// changed the same lines; the remote's commits stay in the history. A branch
+// with an unrelated history is not merged at all. The merged file is then
+// applied to the Yjs state, which updates connected editors. Resolves to the
+// files whose conflicting remote changes were overwritten.
+async function mergeRemoteChanges(docId, git, trackingRef, remote) {
+    await flushFileRender(docId);
+    const docRes = await db.query('SELECT fs_path FROM documents WHERE id = $1', [docId]);
+    const fullPath = path.join(getDocumentPath(docId), docRes.rows[0].fs_path);
+    const message = `Merge external changes from ${remote.branch}`;
+    
+    // Commit and merge in one job, so no write lands in between
+    const { content, conflicts } = await enqueueJob(docId, 'merge', async () => {
+        await commitDocument(docId);
+        let conflicts = [];
+        try {
+            await git.merge([trackingRef, '--no-edit', '-m', message]);
+        } catch (err) {
+            conflicts = (await git.status()).conflicted;
+            await git.merge(['--abort']).catch(() => {});
+            if (/unrelated histories/.test(err.message)) {
+                throw new Error(`The branch ${remote.branch} has a history unrelated to the document's, so nothing was merged or pushed. Use a new branch, or one pushed from this document.`);
+            }
+            if (conflicts.length === 0) throw err;
+            
+            // Keep the document's side of the conflicting hunks
+            try {
+                await git.merge([trackingRef, '--no-edit', '-X', 'ours', '-m', message]);
+            } catch (oursErr) {
+                await git.merge(['--abort']).catch(() => {});
+                throw oursErr;
+            }
+        }
+        return { content: fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '', conflicts };
+    });
+    await replaceDocumentContent(docId, content);
+    if (!ySocketIO.documents.has(docId)) {
+        await flushFileRender(docId);
+    }
+    return conflicts;
+}
+
+// Tell the owner about conflicts, and about a failing sync (once, not on
+// every poll while it keeps failing the same way)
+async function reportRemoteSync(docId, remote, status, previous) {
+    let type = null;
+    let data = {};
+    if (status.conflicts.length > 0) {
+        type = 'remote-conflict';
+        data = { files: status.conflicts };
+    } else if (status.error && status.error !== previous?.error) {
+        type = 'remote-error';
+        data = { error: status.error };
+    }
+    if (!type) return;
+    
+    const docRes = await db.query('SELECT name, owner_id FROM documents WHERE id = $1', [docId]);
+    if (docRes.rows.length === 0) return;
+    await notifyUser(docRes.rows[0].owner_id, type, null, docId, {
+        document_name: docRes.rows[0].name,
+        branch: remote.branch,
+        ...data
+    });
+}
+
+async function runRemoteSync(docId) {
+    const remote = await getDocumentRemote(docId);
+    if (!remote) return null;
+    
+    const git = getDocumentGit(docId);
+    const previous = remoteSyncStatus.get(docId);
+    const status = { synced_at: previous?.synced_at || null, merged: false, conflicts: [], error: null };
+    // Remotes set before GIT_REMOTE_LOCAL_PATHS changed (the shared one is
+    // the administrator's choice)
+    if (!remote.shared && !isValidRemoteUrl(remote.url)) {
+        status.error = 'The remote URL is not allowed';
+    } else {
+        try {
+            await setRemoteUrl(git, remote.url);
+            
+            // An empty remote (or a missing branch) has nothing to merge
+            const heads = await git.listRemote(['--heads', REMOTE_NAME, `refs/heads/${remote.branch}`]);
+            if (heads.trim()) {
+                const trackingRef = `refs/remotes/${REMOTE_NAME}/${remote.branch}`;
+                await git.fetch(REMOTE_NAME, remote.branch);
+                const behind = Number((await git.raw(['rev-list', '--count', `HEAD..${trackingRef}`])).trim());
+                if (behind > 0) {
+                    status.conflicts = await mergeRemoteChanges(docId, git, trackingRef, remote);
+                    status.merged = true;
+                }
+            }
+            
+            await git.push(REMOTE_NAME, `HEAD:refs/heads/${remote.branch}`);
+            status.synced_at = Date.now();
+        } catch (err) {
+            status.error = maskRemoteUrl(err.message).trim();
+            console.error(`Git sync error (document ${docId}):`, status.error);
+        }
+    }
+    if (status.conflicts.length > 0) {
+        console.warn(`Git sync (document ${docId}): conflicting changes from ${remote.branch} in ${status.conflicts.join(', ')} were overwritten by the document's`);
+    }
+    remoteSyncStatus.set(docId, status);
+    await reportRemoteSync(docId, remote, status, previous).catch(err => {
+        console.error(`Could not report the sync of document ${docId}:`, err);
+    });
+    return status;
+}
+
+// Sync a document with its remote (no-op without one). Syncs of a document
+// run one at a time; requests made while one runs share the next run.
+function syncDocumentRemote(docId) {
+    docId = String(docId);
+    const sync = remoteSyncs.get(docId) || { running: null, queued: null };
+    remoteSyncs.set(docId, sync);
+    if (sync.queued) return sync.queued;
+    
+    const start = () => {
+        sync.queued = null;
+        sync.running = runRemoteSync(docId).finally(() => {
+            sync.running = null;
+            if (!sync.queued) remoteSyncs.delete(docId);
+        });
+        return sync.running;
+    };
+    if (!sync.running) return start();
+    sync.queued = sync.running.then(start, start);
+    return sync.queued;
+}
+
+// Pick up commits pushed to the remotes from elsewhere
+let remotePollRunning = false;
+async function syncAllRemotes() {
+    if (remotePollRunning) return;
+    remotePollRunning = true;
+    try {
+        const result = GIT_REMOTE_URL
+            ? await db.query('SELECT id AS document_id FROM documents')
+            : await db.query('SELECT document_id FROM document_remotes');
+        for (const row of result.rows) {
+            await syncDocumentRemote(row.document_id);
+        }
+    } catch (err) {
+        console.error('Git sync poll error:', err);
+    } finally {
+        remotePollRunning = false;
+    }
+}
+
+if (GIT_SYNC_INTERVAL_MS > 0) {
+    setInterval(syncAllRemotes, GIT_SYNC_INTERVAL_MS);
+}
+
+function formatRemote(docId, remote) {
+    const status = remoteSyncStatus.get(String(docId)) || {};
+    return {
+        url: remote ? maskRemoteUrl(remote.url) : null,
+        branch: remote?.branch || null,
+        shared: remote?.shared || false,
+        synced_at: status.synced_at || null,
+        conflicts: status.conflicts || [],
+        error: status.error || null
+    };
+}
+
+// Git Remote - the remote a document's repository is synced with (owner)
+app.get('/api/documents/:id/remote', requireAuth, requireRole('owner'), async (req, res) => {
+    try {
+        res.json(formatRemote(req.params.id, await getDocumentRemote(req.params.id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Set the document's own remote { url, branch? } and sync with it right away
+app.put('/api/documents/:id/remote', requireAuth, requireRole('owner'), async (req, res) => {
+    const { id } = req.params;
+    const url = typeof req.body?.url === 'string' ? req.body.url.trim() : '';
+    const branch = typeof req.body?.branch === 'string' && req.body.branch.trim() ? req.body.branch.trim() : 'main';
+    if (!isValidRemoteUrl(url)) return res.status(400).json({ error: 'Invalid remote URL' });
+    if (!isValidBranchName(branch)) return res.status(400).json({ error: 'Invalid branch name' });
+    
+    try {
+        await db.query(`
+            INSERT INTO document_remotes (document_id, url, branch, updated_at)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (document_id) DO UPDATE SET url = excluded.url, branch = excluded.branch, updated_at = excluded.updated_at
+        `, [id, url, branch, Date.now()]);
+        remoteSyncStatus.delete(id);
+        await syncDocumentRemote(id);
+        res.json(formatRemote(id, await getDocumentRemote(id)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Remove the document's own remote (the shared one, if configured, applies again)
+app.delete('/api/documents/:id/remote', requireAuth, requireRole('owner'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        await db.query('DELETE FROM document_remotes WHERE document_id = $1', [id]);
+        remoteSyncStatus.delete(id);
+        const remote = await getDocumentRemote(id);
+        if (!remote) {
+            const git = getDocumentGit(id);
+            const remotes = await git.getRemotes();
+            if (remotes.some(({ name }) => name === REMOTE_NAME)) await git.removeRemote(REMOTE_NAME);
+        }
+        res.json(formatRemote(id, remote));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Sync now - merge new commits from the remote and push (owner)
+app.post('/api/documents/:id/remote/sync', requireAuth, requireRole('owner'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const remote = await getDocumentRemote(id);
+        if (!remote) return res.status(404).json({ error: 'No remote configured' });
+        const status = await syncDocumentRemote(id);
+        if (status?.error) return res.status(502).json({ error: status.error });
+        res.json({ ...formatRemote(id, remote), merged: status.merged });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Snapshot Policy - the document's effective policy, the server's defaults
+// and which fields the document overrides (writer)
+app.get('/api/documents/:id/snapshot-policy', requireAuth, requireRole('writer'), async (req, res) => {
+    try {
+        const result = await db.query('SELECT * FROM snapshot_policies WHERE document_id = $1', [req.params.id]);
+        const custom = result.rows[0] || {};
+        res.json({
+            ...(await getSnapshotPolicy(req.params.id)),
+            defaults: DEFAULT_SNAPSHOT_POLICY,
+            custom: SNAPSHOT_POLICY_FIELDS.filter(field => custom[field] !== null && custom[field] !== undefined)
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
-// Manual Save (high priority - immediate file write and git commit)
-app.post('/api/documents/:id/save-now', async (req, res) => {
+// Override policy fields for the document; null goes back to the default (owner)
+app.put('/api/documents/:id/snapshot-policy', requireAuth, requireRole('owner'), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+    const values = {};
+    for (const field of SNAPSHOT_POLICY_FIELDS) {
+        const value = body[field];
+        if (value === undefined || value === null) {
+            values[field] = null;
+        } else if (!Number.isInteger(value) || value < 0 || (field === 'idle_ms' && value < 1000)) {
+            return res.status(400).json({ error: `${field} must be a non-negative integer${field === 'idle_ms' ? ' of at least 1000' : ''}` });
+        } else {
+            values[field] = value;
+        }
+    }
+    
+    try {
+        await db.query(`
+            INSERT INTO snapshot_policies (document_id, idle_ms, max_interval_ms, max_changes, compact_after_days, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (document_id) DO UPDATE SET idle_ms = excluded.idle_ms, max_interval_ms = excluded.max_interval_ms,
+                max_changes = excluded.max_changes, compact_after_days = excluded.compact_after_days, updated_at = excluded.updated_at
+        `, [id, values.idle_ms, values.max_interval_ms, values.max_changes, values.compact_after_days, Date.now()]);
+        snapshotPolicies.delete(id);
+        res.json(await getSnapshotPolicy(id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// History compaction - runs of autosave commits older than the policy's
+// `compact_after_days` are squashed into one commit per day, authored by the
+// run's last author with the others as co-authors. Commits that are named
+// versions are never squashed, and the versions table follows the rewritten
+// hashes. Repositories synced with a git remote (or that merged from one)
+// are left alone, since the remote would still hold the old history.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOT_NAME = 'Collaboration Docs Bot';
+
+async function readCommits(git) {
+    const FIELD = '\x1f';
+    const RECORD = '\x1e';
+    const format = ['%H', '%P', '%T', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%B'].join(FIELD);
+    const log = await git.raw(['log', '--reverse', `--format=${format}${RECORD}`]);
+    return log.split(RECORD).map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+        const [hash, parents, tree, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message] = record.split(FIELD);
+        return {
+            hash, tree, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate,
+            parents: parents.split(' ').filter(Boolean),
+            message: message.replace(/\n+$/, '')
+        };
+    });
+}
+
+function squashedMessage(commits, author) {
+    const coAuthors = new Set();
+    commits.forEach(commit => {
+        coAuthors.add(`${commit.authorName} <${commit.authorEmail}>`);
+        [...commit.message.matchAll(/^Co-authored-by: (.+)$/gm)].forEach(match => coAuthors.add(match[1]));
+    });
+    coAuthors.delete(author);
+    const trailers = [...coAuthors]
+        .filter(coAuthor => !coAuthor.startsWith(`${BOT_NAME} <`))
+        .map(coAuthor => `Co-authored-by: ${coAuthor}`);
+    const first = commits[0].committerDate;
+    const last = commits[commits.length - 1].committerDate;
+    return [
+        AUTOSAVE_MESSAGE,
+        `Compacted ${commits.length} autosave commits from ${first} to ${last}.`,
+        [AUTOSAVE_TRAILER, ...trailers].join('\n')
+    ].join('\n\n');
+}
+
+// Resolves to { removed, commits } (commits removed and left), or to
+// { skipped } with the reason the history was not compacted
+async function compactHistory(docId, days) {
+    docId = String(docId);
+    if (await getDocumentRemote(docId)) return { skipped: 'The document is synced with a git remote' };
+    return enqueueJob(docId, 'compact', async () => {
+        const git = getDocumentGit(docId);
+        const commits = await readCommits(git);
+        if (commits.some(commit => commit.parents.length > 1)) {
+            return { skipped: 'The history contains merges' };
+        }
+        
+        const versionsRes = await db.query('SELECT commit_hash FROM versions WHERE document_id = $1', [docId]);
+        const named = new Set(versionsRes.rows.map(row => row.commit_hash));
+        const cutoff = Date.now() - days * DAY_MS;
+        const isAutosave = commit => commit.message.split('\n').includes(AUTOSAVE_TRAILER);
+        const squashable = commit => isAutosave(commit) &&
+            Date.parse(commit.committerDate) < cutoff && !named.has(commit.hash);
+        
+        // Consecutive squashable commits of the same day form a group
+        const groups = [];
+        for (const commit of commits) {
+            const group = groups[groups.length - 1];
+            const day = commit.committerDate.substring(0, 10);
+            if (squashable(commit) && group?.squashable && group.day === day) {
+                group.commits.push(commit);
+            } else {
+                groups.push({ squashable: squashable(commit), day, commits: [commit] });
+            }
+        }
+        if (groups.length === commits.length) return { removed: 0, commits: commits.length };
+        
+        // Recreate every commit from the first squashed group on, with the
+        // same trees, authors, committers and dates
+        const rewritten = new Map(); // old hash -> new hash
+        let parent = null;
+        let changed = false;
+        for (const group of groups) {
+            const last = group.commits[group.commits.length - 1];
+            if (!changed && group.commits.length === 1) {
+                parent = last.hash;
+                continue;
+            }
+            changed = true;
+            const author = `${last.authorName} <${last.authorEmail}>`;
+            const message = group.commits.length > 1 ? squashedMessage(group.commits, author) : last.message;
+            const env = {
+                PATH: process.env.PATH,
+                HOME: process.env.HOME,
+                GIT_AUTHOR_NAME: last.authorName,
+                GIT_AUTHOR_EMAIL: last.authorEmail,
+                GIT_AUTHOR_DATE: last.authorDate,
+                GIT_COMMITTER_NAME: last.committerName,
+                GIT_COMMITTER_EMAIL: last.committerEmail,
+                GIT_COMMITTER_DATE: last.committerDate
+            };
+            const args = ['commit-tree', last.tree, ...(parent ? ['-p', parent] : []), '-m', message];
+            parent = (await getDocumentGit(docId).env(env).raw(args)).trim();
+            group.commits.forEach(commit => rewritten.set(commit.hash, parent));
+        }
+        
+        await git.raw(['update-ref', 'HEAD', parent, commits[commits.length - 1].hash]);
+        for (const [oldHash, newHash] of rewritten) {
+            if (named.has(oldHash)) {
+                await db.query('UPDATE versions SET commit_hash = $1 WHERE document_id = $2 AND commit_hash = $3', [newHash, docId, oldHash]);
+            }
+        }
+        // Drop the old commits for good
+        await git.raw(['reflog', 'expire', '--expire=now', '--all']);
+        await git.raw(['gc', '--prune=now', '--quiet']);
+        
+        return { removed: commits.length - groups.length, commits: groups.length };
+    });
+}
+
+async function compactAllHistories() {
+    try {
+        const result = await db.query('SELECT id FROM documents');
+        for (const { id } of result.rows) {
+            const { compact_after_days: days } = await getSnapshotPolicy(id);
+            if (days > 0) await compactHistory(id, days);
+        }
+    } catch (err) {
+        console.error('History compaction error:', err);
+    }
+}
+
+setTimeout(compactAllHistories, 60 * 1000);
+setInterval(compactAllHistories, DAY_MS);
+
+// Compact History now - optional { days } instead of the policy's
+// `compact_after_days` (owner)
+app.post('/api/documents/:id/compact', requireAuth, requireRole('owner'), async (req, res) => {
     const { id } = req.params;
-    const { content, userId } = req.body;
+    const days = req.body?.days ?? (await getSnapshotPolicy(id)).compact_after_days;
+    if (!Number.isInteger(days) || days <= 0) {
+        return res.status(400).json({ error: 'days must be a positive integer (or set compact_after_days in the snapshot policy)' });
+    }
     
-    // Check permissions
-    const role = await getUserDocumentRole(userId, id);
-    if (!role || (role !== 'owner' && role !== 'writer')) {
-        return res.status(403).json({ error: 'Forbidden: You do not have write permission for this document' });
+    try {
+        const result = await compactHistory(id, days);
+        if (result.skipped) return res.status(409).json({ error: result.skipped });
+        res.json(result);
+    } catch (err) {
+        console.error('History compaction error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Render the file from the document's Yjs state (debounced after live edits,
+// but at least every FILE_RENDER_MAX_WAIT_MS while editing goes on, so the
+// snapshot policy sees the changes)
+function scheduleFileRender(docId) {
+    clearTimeout(fileRenderTimers.get(docId));
+    if (!fileRenderDeadlines.has(docId)) {
+        fileRenderDeadlines.set(docId, Date.now() + FILE_RENDER_MAX_WAIT_MS);
+    }
+    const delay = Math.min(FILE_RENDER_DEBOUNCE_MS, fileRenderDeadlines.get(docId) - Date.now());
+    fileRenderTimers.set(docId, setTimeout(() => flushFileRender(docId), Math.max(0, delay)));
+}
+
+async function flushFileRender(docId, immediateGit = false, commitMessage) {
+    clearTimeout(fileRenderTimers.get(docId));
+    fileRenderTimers.delete(docId);
+    fileRenderDeadlines.delete(docId);
+    try {
+        // Rendered when the write runs, so writes never go back to older content
+        await enqueueJob(docId, 'write', async () => writeFileToDisk(docId, await renderDocumentContent(docId)));
+        return await scheduleCommit(docId, immediateGit, commitMessage);
+    } catch (err) {
+        // Manual saves answer with the error instead
+        if (immediateGit) throw err;
+        console.error('File render error:', err);
+        return null;
+    }
+}
+
+// Save Document - for clients outside the collaborative session. The content
+// is applied to the Yjs state; the file is then rendered from it as usual.
+app.post('/api/documents/:id/save', requireAuth, requireRole('writer'), async (req, res) => {
+    const { id } = req.params;
+    const { content } = req.body;
+    if (typeof content !== 'string') {
+        return res.status(400).json({ error: 'Content is required' });
     }
     
-    // Immediate file write and git commit
-    queueFileWrite(id, content, true);
+    try {
+        recordContributor(id, req.user);
+        await replaceDocumentContent(id, content);
+        if (!ySocketIO.documents.has(id)) {
+            noteSnapshotChange(id);
+            await flushFileRender(id);
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Save error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Manual Save (high priority - render from Yjs state, immediate git commit).
+// Optional `message` replaces the default commit message; optional `name`
+// also records the saved commit as a named version.
+app.post('/api/documents/:id/save-now', requireAuth, requireRole('writer'), async (req, res) => {
+    const { id } = req.params;
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
     
-    res.json({ success: true });
+    try {
+        if (name) {
+            const existing = await db.query('SELECT id FROM versions WHERE document_id = $1 AND name = $2', [id, name]);
+            if (existing.rows.length > 0) {
+                return res.status(409).json({ error: 'A version with this name already exists' });
+            }
+        }
+        
+        const commit = await flushFileRender(id, true, message || name || 'Save document');
+        
+        let version = null;
+        if (name) {
+            const hash = commit || (await getDocumentGit(id).revparse(['HEAD'])).trim();
+            version = await createNamedVersion(id, name, hash, req.user);
+        }
+        
+        res.json({ success: true, commit, version });
+    } catch (err) {
+        console.error('Save error:', err);
+        res.status(500).json({ error: err.message });
+    }
 });
 
 
+// Graceful shutdown - render, store and commit everything still pending
+// (debounced file renders, Yjs states and autosave commits) before exiting
+const SHUTDOWN_TIMEOUT_MS = 15000;
+let shuttingDown = false;
+
+async function flushAllDocuments() {
+    const live = [...ySocketIO.documents.keys()];
+    for (const docId of new Set([...fileRenderTimers.keys(), ...live])) {
+        await flushFileRender(docId);
+    }
+    for (const docId of new Set([...stateSaveTimers.keys(), ...live])) {
+        await flushDocumentState(docId);
+    }
+    for (const docId of new Set([...gitCommitTimers.keys(), ...pendingSnapshots.keys()])) {
+        clearTimeout(gitCommitTimers.get(docId));
+        gitCommitTimers.delete(docId);
+        await commitToGit(docId).catch(() => {});
+    }
+    // Jobs still queued (rollbacks, compaction...) and the pushes started by
+    // the commits
+    await whenAllIdle();
+    await Promise.all([...remoteSyncs.values()].map(sync => sync.queued || sync.running));
+}
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, saving pending changes...`);
+    setTimeout(() => {
+        console.error('Shutdown timed out');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+    
+    server.close();
+    try {
+        await flushAllDocuments();
+    } catch (err) {
+        console.error('Shutdown flush error:', err);
+    }
+    io.close();
+    db.close();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+databaseReady.then(() => {
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
 });
@@ -19,23 +19,149 @@ async function setup() {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         name TEXT NOT NULL,
         path TEXT NOT NULL,
-        fs_path TEXT UNIQUE NOT NULL,
+        fs_path TEXT NOT NULL,
+        folder_id INTEGER REFERENCES folders(id),
         owner_id INTEGER REFERENCES users(id),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
 
+    // Folders (parent_id NULL for the top level) and roles given on them
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS folders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES folders(id),
+        owner_id INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS folder_permissions (
+        folder_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'suggester', 'reader')),
+        PRIMARY KEY (folder_id, user_id)
+      );
+    `);
+
     // Permissions table
     await db.query(`
       CREATE TABLE IF NOT EXISTS permissions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'reader')),
+        role TEXT NOT NULL CHECK (role IN ('owner', 'writer', 'suggester', 'reader')),
         UNIQUE(document_id, user_id)
       );
     `);
 
+    // Sessions table (only the SHA-256 hash of each token is stored)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+    `);
+
+    // Binary Yjs state per document (source of truth for live content)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS document_states (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        state BLOB NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    // Named versions (milestones) pointing at commits of a document's repo
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        commit_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id),
+        created_at INTEGER NOT NULL,
+        UNIQUE (document_id, name)
+      );
+    `);
+
+    // Comment threads (parent_id IS NULL) and their replies
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id),
+        body TEXT NOT NULL,
+        anchor TEXT,
+        quote TEXT,
+        resolved INTEGER NOT NULL DEFAULT 0,
+        resolved_by INTEGER REFERENCES users(id),
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    // Full-text search index, rowid = document id
+    await db.query(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS document_search USING fts5(name, content)
+    `);
+
+    // Notifications (data is JSON, e.g. the document name at the time)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        actor_id INTEGER REFERENCES users(id),
+        document_id INTEGER,
+        data TEXT NOT NULL,
+        read_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+    `);
+
+    // Share links (only the token's hash is stored)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS share_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT UNIQUE NOT NULL,
+        document_id INTEGER REFERENCES documents(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('writer', 'suggester', 'reader')),
+        password TEXT,
+        allow_anonymous INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER,
+        created_by INTEGER REFERENCES users(id),
+        created_at INTEGER NOT NULL
+      );
+    `);
+
+    // Per-document snapshot policies (NULL columns use the server's defaults)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS snapshot_policies (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        idle_ms INTEGER,
+        max_interval_ms INTEGER,
+        max_changes INTEGER,
+        compact_after_days INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
+    // Git remotes of document repositories (see GIT_REMOTE_URL for a shared one)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS document_remotes (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        branch TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+
     console.log("Database setup complete.");
     process.exit(0);
   } catch (err) {
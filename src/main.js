@@ -1,12 +1,15 @@
 // ...
 // ...
-import { Editor, Extension } from '@tiptap/core';
+import { Editor, Extension, Mark } from '@tiptap/core';
 import StarterKit from '@tiptap/starter-kit';
 import Collaboration from '@tiptap/extension-collaboration';
 import * as Y from 'yjs';
 import { SocketIOProvider } from 'y-socket.io'; 
 import io from 'socket.io-client';
-import { yCursorPlugin } from '@tiptap/y-tiptap';
+import { yCursorPlugin, ySyncPluginKey, absolutePositionToRelativePosition, relativePositionToAbsolutePosition } from '@tiptap/y-tiptap';
+import { Plugin, PluginKey, TextSelection } from '@tiptap/pm/state';
+import { Decoration, DecorationSet } from '@tiptap/pm/view';
+import { ReplaceStep, AddMarkStep, RemoveMarkStep, Mapping } from '@tiptap/pm/transform';
 
 // Custom CollaborationCursor using @tiptap/y-tiptap (to match Collaboration extension)
 const CollaborationCursor = Extension.create({
@@ -70,6 +73,249 @@ const CollaborationCursor = Extension.create({
   },
 });
 
+// Suggested changes are marks on the text they concern, attributed to the user
+// who proposed them (mirrored in document_content.js for the server schema)
+const suggestionColor = userId => `hsl(${(userId * 137) % 360}, 70%, 65%)`;
+
+const suggestionAttributes = {
+  userId: {
+    default: null,
+    parseHTML: element => Number(element.getAttribute('data-user-id')) || null,
+    renderHTML: attributes => ({
+      'data-user-id': attributes.userId,
+      style: `--suggestion-color: ${suggestionColor(attributes.userId)}`,
+    }),
+  },
+  author: {
+    default: null,
+    parseHTML: element => element.getAttribute('data-author'),
+    renderHTML: attributes => ({ 'data-author': attributes.author, title: `Suggested by ${attributes.author}` }),
+  },
+};
+
+const SuggestionInsertion = Mark.create({
+  name: 'suggestionInsertion',
+  inclusive: false,
+  addAttributes() {
+    return suggestionAttributes;
+  },
+  parseHTML() {
+    return [{ tag: 'ins[data-suggestion]' }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['ins', { 'data-suggestion': '', ...HTMLAttributes }, 0];
+  },
+});
+
+const SuggestionDeletion = Mark.create({
+  name: 'suggestionDeletion',
+  inclusive: false,
+  addAttributes() {
+    return suggestionAttributes;
+  },
+  parseHTML() {
+    return [{ tag: 'del[data-suggestion]' }];
+  },
+  renderHTML({ HTMLAttributes }) {
+    return ['del', { 'data-suggestion': '', ...HTMLAttributes }, 0];
+  },
+});
+
+// Suggestion mode: while state.suggesting is set, typed text is marked as a
+// suggested insertion and deleted text is put back and marked as a suggested
+// deletion. Changes to structure (new or joined paragraphs) are not tracked:
+// writers make them directly, suggesters cannot make them. Formatting cannot
+// be suggested.
+const suggestionModeKey = new PluginKey('suggestionMode');
+
+const SuggestionMode = Extension.create({
+  name: 'suggestionMode',
+  addProseMirrorPlugins() {
+    let deleteDirection = 'backward'; // Backspace or Delete, for placing the cursor
+    const isUserChange = tr => tr.docChanged && !tr.getMeta(ySyncPluginKey) && !tr.getMeta(suggestionModeKey);
+
+    return [
+      new Plugin({
+        key: suggestionModeKey,
+        props: {
+          handleKeyDown: (view, event) => {
+            deleteDirection = event.key === 'Delete' ? 'forward' : 'backward';
+            return false;
+          },
+        },
+        filterTransaction: (tr) => {
+          if (!state.suggesting || !isUserChange(tr)) return true;
+          if (tr.steps.some(step => step instanceof AddMarkStep || step instanceof RemoveMarkStep)) return false;
+          // The server drops suggesters' updates that change anything but
+          // suggestions, so their steps may only replace text within a block
+          return canEdit(state.currentDocRole) || tr.steps.every((step, i) => {
+            if (!(step instanceof ReplaceStep) || step.slice.openStart > 0 || step.slice.openEnd > 0) return false;
+            let inline = true;
+            step.slice.content.forEach(node => { if (!node.isInline) inline = false; });
+            const doc = tr.docs[i];
+            return inline && doc.resolve(step.from).sameParent(doc.resolve(step.to));
+          });
+        },
+        appendTransaction: (transactions, oldState, newState) => {
+          if (!state.suggesting || !transactions.some(isUserChange)) return null;
+
+          const attrs = { userId: state.user.id, author: state.user.username };
+          const insertionType = newState.schema.marks.suggestionInsertion;
+          const deletionType = newState.schema.marks.suggestionDeletion;
+          const tr = newState.tr.setMeta(suggestionModeKey, true);
+          let cursor = null;
+
+          transactions.forEach((userTr, t) => {
+            if (!isUserChange(userTr)) return;
+            userTr.steps.forEach((step, i) => {
+              if (!(step instanceof ReplaceStep)) return;
+
+              // Positions after this step, mapped to the document built so far
+              const mapping = new Mapping(userTr.mapping.maps.slice(i + 1));
+              transactions.slice(t + 1).forEach(later => mapping.appendMapping(later.mapping));
+              mapping.appendMapping(tr.mapping);
+
+              const from = mapping.map(step.from, -1);
+              const insertedEnd = mapping.map(step.from + step.slice.size, 1);
+              if (insertedEnd > from) tr.addMark(from, insertedEnd, insertionType.create(attrs));
+
+              const deleted = userTr.docs[i].slice(step.from, step.to);
+              if (!deleted.content.textBetween(0, deleted.content.size)) return;
+
+              // Put the deleted content back in front of the typed text
+              const sizeBefore = tr.doc.content.size;
+              tr.replace(from, from, deleted);
+              let end = from + tr.doc.content.size - sizeBefore;
+              // Text someone already suggested deleting keeps their suggestion
+              // (the server drops changes to other users' suggestions)
+              tr.doc.nodesBetween(from, end, (node, pos) => {
+                if (node.isText && !deletionType.isInSet(node.marks)) {
+                  tr.addMark(Math.max(pos, from), Math.min(pos + node.nodeSize, end), deletionType.create(attrs));
+                }
+              });
+
+              // Deleting your own suggested insertion removes it for real
+              const ownInsertions = [];
+              tr.doc.nodesBetween(from, end, (node, pos) => {
+                if (node.isText && node.marks.some(mark => mark.type === insertionType && mark.attrs.userId === state.user.id)) {
+                  ownInsertions.push([Math.max(pos, from), Math.min(pos + node.nodeSize, end)]);
+                }
+              });
+              ownInsertions.reverse().forEach(([start, stop]) => {
+                tr.delete(start, stop);
+                end -= stop - start;
+              });
+
+              const typedSize = insertedEnd - from;
+              const pos = typedSize > 0 ? end + typedSize : deleteDirection === 'forward' ? end : from;
+              cursor = { pos, steps: tr.steps.length };
+            });
+          });
+
+          if (cursor) {
+            const pos = new Mapping(tr.mapping.maps.slice(cursor.steps)).map(cursor.pos);
+            tr.setSelection(TextSelection.create(tr.doc, pos));
+          }
+          return tr.docChanged ? tr : null;
+        },
+      }),
+    ];
+  },
+});
+
+// Contiguous runs of suggested text, grouped by kind and author
+function collectSuggestions(doc) {
+  const suggestions = [];
+  doc.descendants((node, pos) => {
+    if (!node.isText) return;
+    node.marks.forEach(mark => {
+      if (mark.type.name !== 'suggestionInsertion' && mark.type.name !== 'suggestionDeletion') return;
+      const previous = suggestions.find(s => s.type === mark.type.name && s.userId === mark.attrs.userId && s.to === pos);
+      if (previous) {
+        previous.to = pos + node.nodeSize;
+        previous.text += node.text;
+      } else {
+        suggestions.push({
+          type: mark.type.name,
+          userId: mark.attrs.userId,
+          author: mark.attrs.author,
+          from: pos,
+          to: pos + node.nodeSize,
+          text: node.text,
+        });
+      }
+    });
+  });
+  return suggestions;
+}
+
+// Accepting an insertion or rejecting a deletion keeps the text and drops the
+// mark; rejecting an insertion or accepting a deletion removes the text
+function resolveSuggestions(suggestions, accept) {
+  const { tr, schema } = state.editor.state;
+  [...suggestions].sort((a, b) => b.from - a.from).forEach(suggestion => {
+    const removeText = (suggestion.type === 'suggestionInsertion') !== accept;
+    if (removeText) {
+      tr.delete(suggestion.from, suggestion.to);
+    } else {
+      tr.removeMark(suggestion.from, suggestion.to, schema.marks[suggestion.type]);
+    }
+  });
+  state.editor.view.dispatch(tr.setMeta(suggestionModeKey, true));
+}
+
+// Highlights the text ranges that open comment threads are anchored to
+const commentHighlightsKey = new PluginKey('commentHighlights');
+
+const CommentHighlights = Extension.create({
+  name: 'commentHighlights',
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: commentHighlightsKey,
+        props: {
+          decorations: (editorState) => {
+            const decorations = [];
+            state.comments.forEach(thread => {
+              if (thread.resolved) return;
+              const range = resolveCommentRange(editorState, thread.anchor);
+              if (range) {
+                decorations.push(Decoration.inline(range.from, range.to, {
+                  class: thread.id === state.activeCommentId ? 'comment-highlight active' : 'comment-highlight',
+                  'data-comment-id': String(thread.id),
+                }));
+              }
+            });
+            return DecorationSet.create(editorState.doc, decorations);
+          },
+        },
+      }),
+    ];
+  },
+});
+
+// Anchor a ProseMirror range to Yjs relative positions, so it follows concurrent edits
+function getCommentAnchor(editorState, from, to) {
+  const ystate = ySyncPluginKey.getState(editorState);
+  if (!ystate || !ystate.binding) return null;
+  const { type, binding } = ystate;
+  return {
+    start: Y.relativePositionToJSON(absolutePositionToRelativePosition(from, type, binding.mapping)),
+    end: Y.relativePositionToJSON(absolutePositionToRelativePosition(to, type, binding.mapping)),
+  };
+}
+
+// Current ProseMirror range of a comment anchor (null if the text was deleted)
+function resolveCommentRange(editorState, anchor) {
+  const ystate = ySyncPluginKey.getState(editorState);
+  if (!anchor || !ystate || !ystate.binding) return null;
+  const { type, binding } = ystate;
+  const from = relativePositionToAbsolutePosition(type.doc, type, Y.createRelativePositionFromJSON(anchor.start), binding.mapping);
+  const to = relativePositionToAbsolutePosition(type.doc, type, Y.createRelativePositionFromJSON(anchor.end), binding.mapping);
+  if (from === null || to === null || from >= to) return null;
+  return { from, to };
+}
+
 // App State
 const state = {
   user: null,
@@ -77,6 +323,18 @@ const state = {
   editor: null,
   provider: null,
   socket: null,
+  previewEditor: null, // Read-only editor in the history preview
+  historySearch: null, // Map(hash -> result) of the history search, null when not searching
+  comments: [], // Comment threads of the open document
+  activeCommentId: null, // Thread selected in the comments panel
+  suggesting: false, // Suggestion mode (always on for suggesters)
+  shareToken: null, // Token of the share link the app was opened with (?share=)
+  notifications: [], // Latest notifications, newest first
+  unreadNotifications: 0,
+  folders: [], // Folders visible on the dashboard
+  selectedFolderId: null, // Folder new documents and folders are created in
+  collapsedFolders: new Set(),
+  token: null, // Session token issued by /api/login or /api/register
   currentDocRole: null // Track current document role
 };
 
@@ -84,10 +342,13 @@ const state = {
 const screens = {
   auth: document.getElementById('auth-screen'),
   dashboard: document.getElementById('dashboard-screen'),
-  editor: document.getElementById('editor-screen')
+  editor: document.getElementById('editor-screen'),
+  link: document.getElementById('link-screen')
 };
 
 // Utils
+const canEdit = role => role === 'writer' || role === 'owner';
+
 const showScreen = (name) => {
   Object.values(screens).forEach(el => el.classList.add('hidden'));
   screens[name].classList.remove('hidden');
@@ -98,8 +359,14 @@ const api = async (endpoint, method = 'GET', body = null) => {
     method,
     headers: { 'Content-Type': 'application/json' }
   };
+  if (state.token) options.headers['Authorization'] = `Bearer ${state.token}`;
   if (body) options.body = JSON.stringify(body);
   const res = await fetch(`/api${endpoint}`, options);
+  if (res.status === 401 && state.token) {
+    // Session expired or revoked - back to login
+    clearSession();
+    showScreen('auth');
+  }
   if (!res.ok) throw new Error(await res.text());
   return res.json();
 };
@@ -163,24 +430,104 @@ function showConfirm(title, message) {
   });
 }
 
+// Custom Prompt Dialog - asks for a text (options.value is the default) or,
+// with options.choices ([{ value, label }]), for one of several values.
+// Resolves to the answer, or null when cancelled.
+function showPrompt(title, message, options = {}) {
+  return new Promise((resolve) => {
+    const promptEl = document.getElementById('custom-prompt');
+    const input = document.getElementById('prompt-input');
+    const select = document.getElementById('prompt-select');
+    const okBtn = document.getElementById('prompt-ok');
+    const cancelBtn = document.getElementById('prompt-cancel');
+    const field = options.choices ? select : input;
+    
+    document.getElementById('prompt-title').textContent = title;
+    document.getElementById('prompt-message').textContent = message;
+    input.classList.toggle('hidden', !!options.choices);
+    select.classList.toggle('hidden', !options.choices);
+    input.value = options.value || '';
+    select.innerHTML = '';
+    (options.choices || []).forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+    promptEl.classList.remove('hidden');
+    field.focus();
+    
+    const cleanup = () => {
+      promptEl.classList.add('hidden');
+      okBtn.onclick = null;
+      cancelBtn.onclick = null;
+    };
+    
+    okBtn.onclick = () => {
+      cleanup();
+      resolve(field.value);
+    };
+    
+    cancelBtn.onclick = () => {
+      cleanup();
+      resolve(null);
+    };
+  });
+}
+
 // Auth
-function checkAuth() {
-    const storedUser = localStorage.getItem('collaboration_docs_user');
-    if (storedUser) {
-        state.user = JSON.parse(storedUser);
-        initDashboard();
-    } else {
+const TOKEN_KEY = 'collaboration_docs_token';
+
+function storeSession({ id, username, token }) {
+  state.user = { id, username };
+  state.token = token;
+  localStorage.setItem(TOKEN_KEY, token);
+}
+
+function clearSession() {
+  state.user = null;
+  state.token = null;
+  localStorage.removeItem(TOKEN_KEY);
+}
+
+async function checkAuth() {
+    // Identity comes from the server-side session, never from localStorage
+    localStorage.removeItem('collaboration_docs_user');
+    state.token = localStorage.getItem(TOKEN_KEY);
+    // Share links (?share=<token>) work with and without a session
+    state.shareToken = new URLSearchParams(location.search).get('share');
+    if (!state.token) {
+        if (state.shareToken) {
+            showShareLink();
+        } else {
+            showScreen('auth');
+        }
+        return;
+    }
+    try {
+        state.user = await api('/me');
+        enterApp();
+    } catch (err) {
+        clearSession();
         showScreen('auth');
     }
 }
 
+// After logging in: continue with the share link the user came from, if any
+function enterApp() {
+    if (state.shareToken) {
+        showShareLink();
+    } else {
+        initDashboard();
+    }
+}
+
 document.getElementById('login-btn').addEventListener('click', async () => {
   const username = document.getElementById('username').value;
   const password = document.getElementById('password').value;
   try {
-    state.user = await api('/login', 'POST', { username, password });
-    localStorage.setItem('collaboration_docs_user', JSON.stringify(state.user));
-    initDashboard();
+    storeSession(await api('/login', 'POST', { username, password }));
+    enterApp();
   } catch (err) {
     showAlert('Login failed: ' + err.message, 'error');
   }
@@ -190,21 +537,118 @@ document.getElementById('register-btn').addEventListener('click', async () => {
   const username = document.getElementById('username').value;
   const password = document.getElementById('password').value;
   try {
-    state.user = await api('/register', 'POST', { username, password });
-    localStorage.setItem('collaboration_docs_user', JSON.stringify(state.user));
-    initDashboard();
+    storeSession(await api('/register', 'POST', { username, password }));
+    enterApp();
   } catch (err) {
     showAlert('Register failed: ' + err.message, 'error');
   }
 });
 
-document.getElementById('logout-btn').addEventListener('click', () => {
-  state.user = null;
+document.getElementById('logout-btn').addEventListener('click', async () => {
+  try {
+    await api('/logout', 'POST');
+  } catch (err) {
+    // Session may already be gone - log out locally anyway
+  }
+  clearSession();
+  closeDocument();
+  if (state.socket) {
+    state.socket.disconnect();
+    state.socket = null;
+  }
+  showScreen('auth');
+});
+
+function closeDocument() {
   state.currentDoc = null;
-  localStorage.removeItem('collaboration_docs_user');
+  clearTimeout(idleTimer);
+  document.getElementById('collaborators').innerHTML = '';
   if (state.editor) state.editor.destroy();
   if (state.provider) state.provider.destroy();
-  showScreen('auth');
+  state.editor = null;
+  state.provider = null;
+}
+
+// Share link landing page - redeem the link (logged in), log in first, or read
+// the document without an account if the link allows it
+async function showShareLink() {
+  showScreen('link');
+  const info = document.getElementById('link-info');
+  const passwordInput = document.getElementById('link-screen-password');
+  const openBtn = document.getElementById('link-open-btn');
+  const viewBtn = document.getElementById('link-view-btn');
+  document.getElementById('link-title').textContent = 'Shared document';
+  document.getElementById('link-view').classList.add('hidden');
+  info.textContent = 'Loading...';
+  openBtn.classList.add('hidden');
+  
+  let link;
+  try {
+    link = await api(`/links/${encodeURIComponent(state.shareToken)}`);
+  } catch (err) {
+    showAlert('This share link is invalid, expired or was revoked', 'error');
+    leaveShareLink();
+    return;
+  }
+  
+  document.getElementById('link-title').textContent = link.document_name;
+  info.textContent = `This link gives ${link.role} access` +
+    (link.expires_at ? ` until ${new Date(link.expires_at).toLocaleString()}` : '') + '.' +
+    (state.user ? '' : ' Log in or register to open the document.');
+  passwordInput.classList.toggle('hidden', !link.has_password);
+  passwordInput.value = '';
+  openBtn.classList.remove('hidden');
+  openBtn.textContent = state.user ? 'Open document' : 'Log in to open';
+  viewBtn.classList.toggle('hidden', !link.allow_anonymous);
+}
+
+// Drop the token from the address bar; optionally show the usual start screen
+function leaveShareLink(showStart = true) {
+  state.shareToken = null;
+  window.history.replaceState(null, '', location.pathname);
+  if (!showStart) return;
+  if (state.user) {
+    initDashboard();
+  } else {
+    showScreen('auth');
+  }
+}
+
+document.getElementById('link-open-btn').addEventListener('click', async () => {
+  if (!state.user) {
+    // The token is kept, enterApp() comes back here after logging in
+    showScreen('auth');
+    return;
+  }
+  try {
+    const result = await api(`/links/${encodeURIComponent(state.shareToken)}/redeem`, 'POST', {
+      password: document.getElementById('link-screen-password').value
+    });
+    leaveShareLink(false);
+    openDocument(String(result.document_id), result.document_name);
+  } catch (err) {
+    showAlert('Could not open the link: ' + err.message, 'error');
+  }
+});
+
+document.getElementById('link-view-btn').addEventListener('click', async () => {
+  const viewEl = document.getElementById('link-view');
+  try {
+    const doc = await api(`/links/${encodeURIComponent(state.shareToken)}/view`, 'POST', {
+      password: document.getElementById('link-screen-password').value
+    });
+    if (state.previewEditor) state.previewEditor.destroy();
+    viewEl.textContent = '';
+    viewEl.classList.remove('hidden');
+    state.previewEditor = new Editor({
+      element: viewEl,
+      editable: false,
+      extensions: [StarterKit],
+      content: doc.html,
+    });
+  } catch (err) {
+    showAlert('Could not open the link: ' + err.message, 'error');
+  }
 });
 
 // Dashboard
@@ -213,63 +657,441 @@ async function initDashboard() {
   document.getElementById('welcome-msg').innerText = `Hello, ${state.user.username}`;
   loadDocuments();
   
-  // Setup socket listener for document sharing notifications
+  loadNotifications();
+  
+  // The server only sends this socket the notifications of the logged-in user
   if (state.socket) {
     state.socket.disconnect();
   }
-  state.socket = io();
-  state.socket.on('document-shared', (data) => {
-    if (data.userId == state.user.id) {
-      // Refresh document list when a document is shared with this user
+  state.socket = io({ auth: { token: state.token } });
+  state.socket.on('notification', (notification) => {
+    state.notifications.unshift(notification);
+    state.unreadNotifications++;
+    renderNotifications();
+    showAlert(describeNotification(notification), 'info');
+    // Access changed - the document list may be different now
+    if (notification.type === 'shared' || notification.type === 'role-changed') {
       loadDocuments();
     }
   });
 }
 
+// Notifications
+async function loadNotifications() {
+  try {
+    const { notifications, unread } = await api('/notifications');
+    state.notifications = notifications;
+    state.unreadNotifications = unread;
+    renderNotifications();
+  } catch (err) {
+    console.error('Failed to load notifications', err);
+  }
+}
+
+function describeNotification(notification) {
+  const actor = notification.actor || 'Someone';
+  const target = notification.folder_name
+    ? `the folder "${notification.folder_name}"`
+    : `"${notification.document_name}"`;
+  switch (notification.type) {
+    case 'shared':
+      return `${actor} shared ${target} with you as ${notification.role}`;
+    case 'role-changed':
+      return `${actor} changed your role on ${target} to ${notification.role}`;
+    case 'mentioned':
+      return `${actor} mentioned you in ${target}: ${notification.excerpt}`;
+    case 'comment-reply':
+      return `${actor} replied in ${target}: ${notification.excerpt}`;
+    case 'remote-conflict':
+      return `Conflicting changes to ${target} on the branch ${notification.branch} were overwritten by the document's in ${notification.files.join(', ')}`;
+    case 'remote-error':
+      return `Syncing ${target} with the git remote failed: ${notification.error}`;
+    default:
+      return `${actor}: ${target}`;
+  }
+}
+
+function renderNotifications() {
+  const count = document.getElementById('notification-count');
+  count.textContent = state.unreadNotifications;
+  count.classList.toggle('hidden', state.unreadNotifications === 0);
+  
+  const list = document.getElementById('notification-list');
+  list.innerHTML = '';
+  if (state.notifications.length === 0) {
+    list.innerHTML = '<li class="comments-empty">No notifications</li>';
+    return;
+  }
+  state.notifications.forEach(notification => {
+    const li = document.createElement('li');
+    li.className = 'notification';
+    li.classList.toggle('unread', !notification.read);
+    li.innerHTML = `
+      <div class="notification-text"></div>
+      <div class="notification-date">${formatCommentDate(notification.created_at)}</div>
+    `;
+    li.querySelector('.notification-text').textContent = describeNotification(notification);
+    li.addEventListener('click', () => openNotification(notification));
+    list.appendChild(li);
+  });
+}
+
+// Mark as read and go to the document (folders are on the dashboard already)
+async function openNotification(notification) {
+  if (!notification.read) {
+    try {
+      await api(`/notifications/${notification.id}/read`, 'POST');
+      notification.read = true;
+      state.unreadNotifications = Math.max(0, state.unreadNotifications - 1);
+      renderNotifications();
+    } catch (err) {
+      console.error('Failed to mark notification as read', err);
+    }
+  }
+  if (notification.document_id) {
+    document.getElementById('notifications-panel').classList.add('hidden');
+    openDocument(String(notification.document_id), notification.document_name);
+  }
+}
+
+document.getElementById('notifications-btn').addEventListener('click', () => {
+  document.getElementById('notifications-panel').classList.toggle('hidden');
+});
+
+document.getElementById('mark-all-read-btn').addEventListener('click', async () => {
+  try {
+    await api('/notifications/read', 'POST');
+    state.notifications.forEach(notification => { notification.read = true; });
+    state.unreadNotifications = 0;
+    renderNotifications();
+  } catch (err) {
+    showAlert(err.message, 'error');
+  }
+});
+
+// Search - results replace the document tree while there is a query
+let searchTimer = null;
+
+document.getElementById('doc-search').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 250);
+});
+
+async function runSearch() {
+  const query = document.getElementById('doc-search').value.trim();
+  const results = document.getElementById('search-results');
+  const searching = query.length > 0;
+  results.classList.toggle('hidden', !searching);
+  document.getElementById('doc-list').classList.toggle('hidden', searching);
+  if (!searching) return;
+  
+  try {
+    const matches = await api(`/search?q=${encodeURIComponent(query)}`);
+    // Ignore results of a query that was changed while it ran
+    if (document.getElementById('doc-search').value.trim() !== query) return;
+    results.innerHTML = '';
+    if (matches.length === 0) {
+      results.innerHTML = '<li class="search-empty">No documents found</li>';
+      return;
+    }
+    matches.forEach(match => {
+      const li = document.createElement('li');
+      li.className = 'search-result';
+      // name_html and snippet are escaped by the server, matches in <mark>
+      li.innerHTML = `
+        <div class="search-result-header">
+          <strong>${match.name_html}</strong>
+          <span class="search-result-path"></span>
+          <button class="open-btn">Open</button>
+        </div>
+        <div class="search-snippet">${match.snippet}</div>
+      `;
+      li.querySelector('.search-result-path').textContent = `${match.path} (${match.role})`;
+      li.querySelector('.open-btn').addEventListener('click', () => openDocument(String(match.id), match.name));
+      results.appendChild(li);
+    });
+  } catch (err) {
+    results.innerText = 'Search failed';
+  }
+}
+
+// Dashboard tree - folders (collapsible) with their subfolders and documents
 async function loadDocuments() {
   const list = document.getElementById('doc-list');
   list.innerHTML = 'Loading...';
   try {
-    const docs = await api(`/documents?userId=${state.user.id}`);
+    const [docs, folders] = await Promise.all([api('/documents'), api('/folders')]);
+    state.folders = folders;
+    if (!folders.some(folder => folder.id === state.selectedFolderId)) {
+      state.selectedFolderId = null;
+    }
     list.innerHTML = '';
-    docs.forEach(doc => {
-      const li = document.createElement('li');
-      li.innerHTML = `
-        <strong>${doc.name}</strong> (${doc.role}) 
-        <button class="open-btn" data-id="${doc.id}" data-name="${doc.name}">Open</button>
-        ${doc.role === 'owner' ? `<button class="delete-btn" data-id="${doc.id}" data-name="${doc.name}">Delete</button>` : ''}
-      `;
-      list.appendChild(li);
+    renderFolderContents(list, null, docs);
+    updateFolderLocation();
+  } catch (err) {
+    list.innerText = 'Error loading docs';
+  }
+}
+
+function renderFolderContents(list, parentId, docs) {
+  const visibleFolders = new Set(state.folders.map(folder => folder.id));
+  state.folders
+    .filter(folder => folder.parent_id === parentId)
+    .forEach(folder => list.appendChild(createFolderItem(folder, docs)));
+  docs
+    .filter(doc => (visibleFolders.has(doc.folder_id) ? doc.folder_id : null) === parentId)
+    .forEach(doc => list.appendChild(createDocumentItem(doc)));
+}
+
+// "3 people editing" next to documents that are open right now
+async function loadDocumentPresence(docId, el) {
+  try {
+    const { editing, viewing, users } = await api(`/documents/${docId}/presence`);
+    const people = count => `${count} ${count === 1 ? 'person' : 'people'}`;
+    const parts = [];
+    if (editing > 0) parts.push(`${people(editing)} editing`);
+    if (viewing > 0) parts.push(`${people(viewing)} viewing`);
+    el.textContent = parts.join(', ');
+    el.title = users.map(user => `${user.username} (${user.mode}${user.idle ? ', idle' : ''})`).join('\n');
+  } catch (err) {
+    console.error('Failed to load presence', err);
+  }
+}
+
+function createDocumentItem(doc) {
+  const li = document.createElement('li');
+  li.className = 'doc-item';
+  li.innerHTML = `
+    <strong class="doc-name"></strong> (${doc.role}) 
+    <span class="doc-presence"></span>
+    <span class="item-actions">
+      <button class="open-btn" data-id="${doc.id}">Open</button>
+      ${canEdit(doc.role) ? `<button class="rename-btn secondary-btn">Rename</button>` : ''}
+      <button class="duplicate-btn secondary-btn">Duplicate</button>
+      ${doc.role === 'owner' ? `<button class="move-btn secondary-btn">Move</button>` : ''}
+      ${doc.role === 'owner' ? `<button class="transfer-btn secondary-btn">Transfer</button>` : ''}
+      ${doc.role === 'owner' ? `<button class="delete-btn" data-id="${doc.id}">Delete</button>` : ''}
+    </span>
+  `;
+  li.querySelector('.doc-name').textContent = doc.name;
+  
+  li.querySelector('.open-btn').addEventListener('click', () => openDocument(String(doc.id), doc.name));
+  loadDocumentPresence(doc.id, li.querySelector('.doc-presence'));
+  
+  const renameBtn = li.querySelector('.rename-btn');
+  if (renameBtn) {
+    renameBtn.addEventListener('click', async () => {
+      const name = await showPrompt('Rename Document', 'New name:', { value: doc.name });
+      if (!name || name === doc.name) return;
+      try {
+        await api(`/documents/${doc.id}`, 'PATCH', { name });
+        loadDocuments();
+      } catch (err) {
+        showAlert('Rename failed: ' + err.message, 'error');
+      }
+    });
+  }
+  
+  li.querySelector('.duplicate-btn').addEventListener('click', async () => {
+    const name = await showPrompt('Duplicate Document', 'Name of the copy:', { value: `Copy of ${doc.name}` });
+    if (!name) return;
+    try {
+      await api(`/documents/${doc.id}/duplicate`, 'POST', { name });
+      loadDocuments();
+      showAlert('Document duplicated', 'success');
+    } catch (err) {
+      showAlert('Duplicate failed: ' + err.message, 'error');
+    }
+  });
+  
+  const transferBtn = li.querySelector('.transfer-btn');
+  if (transferBtn) {
+    transferBtn.addEventListener('click', async () => {
+      const username = await showPrompt('Transfer Ownership', `Username of the new owner of "${doc.name}" (you keep access as a writer):`);
+      if (!username) return;
+      try {
+        await api(`/documents/${doc.id}/transfer`, 'POST', { username });
+        loadDocuments();
+        showAlert(`${username} now owns "${doc.name}"`, 'success');
+      } catch (err) {
+        showAlert('Transfer failed: ' + err.message, 'error');
+      }
+    });
+  }
+  
+  const moveBtn = li.querySelector('.move-btn');
+  if (moveBtn) {
+    moveBtn.addEventListener('click', async () => {
+      const target = await showPrompt('Move Document', `Move "${doc.name}" to:`, { choices: folderChoices() });
+      if (target === null) return;
+      try {
+        await api(`/documents/${doc.id}`, 'PATCH', { folder_id: target ? Number(target) : null });
+        loadDocuments();
+      } catch (err) {
+        showAlert('Move failed: ' + err.message, 'error');
+      }
+    });
+  }
+  
+  const deleteBtn = li.querySelector('.delete-btn');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', async () => {
+      const confirmed = await showConfirm('Delete Document', `Delete "${doc.name}"? This cannot be undone.`);
+      if (confirmed) {
+        try {
+          await api(`/documents/${doc.id}`, 'DELETE');
+          loadDocuments();
+          showAlert('Document deleted successfully', 'success');
+        } catch (err) {
+          showAlert('Delete failed: ' + err.message, 'error');
+        }
+      }
+    });
+  }
+  return li;
+}
+
+function createFolderItem(folder, docs) {
+  const collapsed = state.collapsedFolders.has(folder.id);
+  const canWrite = folder.role === 'writer' || folder.role === 'owner';
+  const isOwner = folder.role === 'owner';
+  
+  const li = document.createElement('li');
+  li.className = 'folder-item';
+  const row = document.createElement('div');
+  row.className = 'folder-row';
+  row.classList.toggle('selected', folder.id === state.selectedFolderId);
+  row.innerHTML = `
+    <button class="folder-toggle" title="${collapsed ? 'Expand' : 'Collapse'}">${collapsed ? '▸' : '▾'}</button>
+    <strong class="folder-name" title="Select as location for new documents and folders"></strong>
+    <span class="folder-role">(${folder.role})</span>
+    <span class="item-actions">
+      ${canWrite ? '<button class="rename-folder-btn secondary-btn">Rename</button>' : ''}
+      ${isOwner ? '<button class="move-folder-btn secondary-btn">Move</button>' : ''}
+      ${isOwner ? '<button class="share-folder-btn secondary-btn">Share</button>' : ''}
+      ${isOwner ? '<button class="delete-btn">Delete</button>' : ''}
+    </span>
+  `;
+  row.querySelector('.folder-name').textContent = `📁 ${folder.name}`;
+  li.appendChild(row);
+  
+  const children = document.createElement('ul');
+  children.className = 'folder-children';
+  children.classList.toggle('hidden', collapsed);
+  renderFolderContents(children, folder.id, docs);
+  li.appendChild(children);
+  
+  row.querySelector('.folder-toggle').addEventListener('click', () => {
+    if (state.collapsedFolders.has(folder.id)) {
+      state.collapsedFolders.delete(folder.id);
+    } else {
+      state.collapsedFolders.add(folder.id);
+    }
+    loadDocuments();
+  });
+  
+  row.querySelector('.folder-name').addEventListener('click', () => {
+    state.selectedFolderId = state.selectedFolderId === folder.id ? null : folder.id;
+    loadDocuments();
+  });
+  
+  if (canWrite) {
+    row.querySelector('.rename-folder-btn').addEventListener('click', async () => {
+      const name = await showPrompt('Rename Folder', 'New name:', { value: folder.name });
+      if (!name) return;
+      try {
+        await api(`/folders/${folder.id}`, 'PATCH', { name });
+        loadDocuments();
+      } catch (err) {
+        showAlert('Rename failed: ' + err.message, 'error');
+      }
+    });
+  }
+  
+  if (isOwner) {
+    row.querySelector('.move-folder-btn').addEventListener('click', async () => {
+      const target = await showPrompt('Move Folder', `Move "${folder.name}" to:`, { choices: folderChoices(folder.id) });
+      if (target === null) return;
+      try {
+        await api(`/folders/${folder.id}`, 'PATCH', { parent_id: target ? Number(target) : null });
+        loadDocuments();
+      } catch (err) {
+        showAlert('Move failed: ' + err.message, 'error');
+      }
     });
     
-    document.querySelectorAll('.open-btn').forEach(btn => {
-      btn.addEventListener('click', () => openDocument(btn.dataset.id, btn.dataset.name));
+    row.querySelector('.share-folder-btn').addEventListener('click', () => {
+      openShareModal(`/folders/${folder.id}/share`, `Share Folder "${folder.name}"`);
     });
     
-    document.querySelectorAll('.delete-btn').forEach(btn => {
-      btn.addEventListener('click', async () => {
-        const confirmed = await showConfirm('Delete Document', `Delete "${btn.dataset.name}"? This cannot be undone.`);
-        if (confirmed) {
-          try {
-            await api(`/documents/${btn.dataset.id}`, 'DELETE');
-            loadDocuments();
-            showAlert('Document deleted successfully', 'success');
-          } catch (err) {
-            showAlert('Delete failed: ' + err.message, 'error');
-          }
-        }
-      });
+    row.querySelector('.delete-btn').addEventListener('click', async () => {
+      const confirmed = await showConfirm('Delete Folder', `Delete "${folder.name}"? Its documents and subfolders are moved to the parent folder.`);
+      if (!confirmed) return;
+      try {
+        await api(`/folders/${folder.id}`, 'DELETE');
+        loadDocuments();
+        showAlert('Folder deleted', 'success');
+      } catch (err) {
+        showAlert('Delete failed: ' + err.message, 'error');
+      }
     });
-  } catch (err) {
-    list.innerText = 'Error loading docs';
   }
+  return li;
+}
+
+// Path of a visible folder, e.g. '/Legal/Contracts'
+function folderPath(folderId) {
+  const names = [];
+  let folder = state.folders.find(f => f.id === folderId);
+  while (folder) {
+    names.unshift(folder.name);
+    folder = state.folders.find(f => f.id === folder.parent_id);
+  }
+  return '/' + names.join('/');
+}
+
+// Folders the user can put things into, for the move dialogs. A folder cannot
+// be moved into itself or one of its subfolders.
+function folderChoices(excludeId = null) {
+  const isExcluded = (folder) => {
+    for (let f = folder; f; f = state.folders.find(p => p.id === f.parent_id)) {
+      if (f.id === excludeId) return true;
+    }
+    return false;
+  };
+  return [
+    { value: '', label: '/ (top level)' },
+    ...state.folders
+      .filter(folder => (folder.role === 'writer' || folder.role === 'owner') && !isExcluded(folder))
+      .map(folder => ({ value: String(folder.id), label: folderPath(folder.id) }))
+      .sort((a, b) => a.label.localeCompare(b.label))
+  ];
 }
 
+function updateFolderLocation() {
+  const location = document.getElementById('folder-location');
+  location.textContent = state.selectedFolderId
+    ? `New documents and folders go into ${folderPath(state.selectedFolderId)}`
+    : '';
+}
+
+document.getElementById('create-folder-btn').addEventListener('click', async () => {
+  const name = document.getElementById('new-folder-name').value;
+  if (!name) return;
+  try {
+    await api('/folders', 'POST', { name, parent_id: state.selectedFolderId });
+    document.getElementById('new-folder-name').value = '';
+    loadDocuments();
+  } catch (err) {
+    showAlert(err.message, 'error');
+  }
+});
+
 document.getElementById('create-doc-btn').addEventListener('click', async () => {
   const name = document.getElementById('new-doc-name').value;
   if (!name) return;
   try {
-    await api('/documents', 'POST', { name, userId: state.user.id });
+    await api('/documents', 'POST', { name, folder_id: state.selectedFolderId });
     document.getElementById('new-doc-name').value = '';
     loadDocuments();
     showAlert('Document created successfully', 'success');
@@ -278,6 +1100,53 @@ document.getElementById('create-doc-btn').addEventListener('click', async () =>
   }
 });
 
+// Import - files dropped on the import area (or chosen) become new documents
+// in the selected folder. The upload is multipart, so it bypasses api().
+async function importFiles(files) {
+  if (files.length === 0) return;
+  const formData = new FormData();
+  [...files].forEach(file => formData.append('files', file));
+  if (state.selectedFolderId) formData.append('folder_id', state.selectedFolderId);
+  
+  const dropArea = document.getElementById('import-drop');
+  dropArea.classList.add('importing');
+  try {
+    const res = await fetch('/api/documents/import', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${state.token}` },
+      body: formData
+    });
+    const result = await res.json().catch(() => ({}));
+    const skipped = (result.skipped || []).map(item => `${item.file} (${item.error})`).join(', ');
+    if (!res.ok) throw new Error(skipped ? `${result.error}: ${skipped}` : result.error || res.statusText);
+    
+    loadDocuments();
+    const count = result.documents.length;
+    const message = `Imported ${count} document${count === 1 ? '' : 's'}`;
+    showAlert(skipped ? `${message}. Skipped: ${skipped}` : message, skipped ? 'info' : 'success');
+  } catch (err) {
+    showAlert('Import failed: ' + err.message, 'error');
+  } finally {
+    dropArea.classList.remove('importing');
+  }
+}
+
+const importDrop = document.getElementById('import-drop');
+importDrop.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  importDrop.classList.add('dragging');
+});
+importDrop.addEventListener('dragleave', () => importDrop.classList.remove('dragging'));
+importDrop.addEventListener('drop', (e) => {
+  e.preventDefault();
+  importDrop.classList.remove('dragging');
+  importFiles(e.dataTransfer.files);
+});
+document.getElementById('import-input').addEventListener('change', (e) => {
+  importFiles(e.target.files);
+  e.target.value = '';
+});
+
 // Editor
 async function openDocument(id, name) {
   state.currentDoc = { id, name };
@@ -287,12 +1156,10 @@ async function openDocument(id, name) {
   if (state.editor) state.editor.destroy();
   if (state.provider) state.provider.destroy();
 
-  // Load Content first and get user's role
-  let initialContent = '';
+  // Get user's role (content itself arrives through the Yjs sync)
   let userRole = null;
   try {
-      const res = await api(`/documents/${id}/content?userId=${state.user.id}`);
-      initialContent = res.content || '';
+      const res = await api(`/documents/${id}/content`);
       userRole = res.role || null;
       state.currentDocRole = userRole;
   } catch(err) {
@@ -305,7 +1172,28 @@ async function openDocument(id, name) {
   // Provider
   state.provider = new SocketIOProvider('ws://localhost:3000', id, ydoc, {
     autoConnect: true,
+    auth: { token: state.token }, // Server checks the session and role per document room
+  });
+  state.provider.socket.on('connect_error', (err) => {
+    console.error('Collaboration connection rejected:', err.message);
   });
+  // Comments are changed through the REST API; the server tells the room to reload them
+  state.provider.socket.on('comments-updated', () => loadComments());
+  // Permission changes take effect immediately: with a new role the document
+  // is reopened (editor, toolbar and suggestion mode depend on it), without
+  // access it is closed
+  state.provider.socket.on('role-changed', ({ role }) => {
+    showAlert(`Your role on this document changed to ${role}`, 'info');
+    openDocument(id, state.currentDoc.name);
+  });
+  state.provider.socket.on('access-revoked', () => {
+    closeDocument();
+    initDashboard();
+    showAlert(`Your access to "${name}" was removed`, 'error');
+  });
+  state.comments = [];
+  state.activeCommentId = null;
+  renderComments();
 
   // Tiptap CollaborationCursor relies on 'provider.awareness'.
   // If y-socket.io doesn't expose it correctly or immediately, we might need a workaround.
@@ -319,6 +1207,8 @@ async function openDocument(id, name) {
   
   setTimeout(() => {
       const isReadOnly = userRole === 'reader';
+      const isSuggester = userRole === 'suggester';
+      state.suggesting = isSuggester;
       
       // Build extensions array - only add CollaborationCursor for non-readers
       const extensions = [
@@ -328,22 +1218,34 @@ async function openDocument(id, name) {
         Collaboration.configure({
           document: ydoc,
         }),
+        CommentHighlights,
+        SuggestionInsertion,
+        SuggestionDeletion,
+        SuggestionMode,
       ];
       
+      // Everyone announces themselves in the awareness for the presence bar;
+      // readers are marked as viewing and get no cursor
+      const hue = Math.floor(Math.random() * 360);
+      const saturation = 70 + Math.floor(Math.random() * 30); // 70-100%
+      const lightness = 50 + Math.floor(Math.random() * 10); // 50-60%
+      const presenceUser = {
+        id: state.user.id,
+        name: state.user.username,
+        color: `hsl(${hue}, ${saturation}%, ${lightness}%)`,
+        viewing: isReadOnly,
+        idle: document.hidden,
+      };
+      state.provider.awareness.setLocalStateField('user', presenceUser);
+      state.provider.awareness.on('change', renderPresence);
+      renderPresence();
+      markActive();
+      
       // Only add cursor extension if user can edit
       if (!isReadOnly) {
-        // Generate a bright, visible color for cursor
-        const hue = Math.floor(Math.random() * 360);
-        const saturation = 70 + Math.floor(Math.random() * 30); // 70-100%
-        const lightness = 50 + Math.floor(Math.random() * 10); // 50-60%
-        const cursorColor = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-        
         extensions.push(CollaborationCursor.configure({
           provider: state.provider,
-          user: {
-            name: state.user.username,
-            color: cursorColor
-          },
+          user: presenceUser,
         }));
       }
       
@@ -351,26 +1253,25 @@ async function openDocument(id, name) {
         element: document.querySelector('.editor'),
         editable: !isReadOnly,
         extensions: extensions,
-    onUpdate: debounce(async ({ editor }) => {
-        if (isReadOnly) return; // Don't save if read-only
-        const content = editor.getHTML();
-        try {
-          // Per-character autosave (file write immediately, git commit debounced on server)
-          await api(`/documents/${id}/save`, 'POST', { content, userId: state.user.id });
-        } catch(err) {
-          console.error('Autosave failed:', err);
-        }
-    }, 100), // Very short debounce for per-character updates (100ms)
+        // No autosave requests: the server renders the file from the shared
+        // Yjs state it receives through the provider
       });
+      state.editor.on('update', renderSuggestions);
       
       // Hide toolbar and disable buttons for readers
       const menuBar = document.querySelector('.menu-bar');
       const saveBtn = document.getElementById('save-btn');
       const shareBtn = document.getElementById('share-btn');
       const historyBtn = document.getElementById('history-btn');
+      const suggestBtn = document.getElementById('suggest-btn');
       
-      if (isReadOnly) {
-        // Hide toolbar completely
+      // Writers can switch suggestion mode on and off, suggesters are always in it
+      suggestBtn.style.display = isReadOnly ? 'none' : 'inline-block';
+      suggestBtn.disabled = isSuggester;
+      updateSuggestButton();
+      
+      if (isReadOnly || isSuggester) {
+        // Hide toolbar completely (formatting cannot be suggested)
         if (menuBar) {
           menuBar.style.display = 'none';
         }
@@ -387,7 +1288,7 @@ async function openDocument(id, name) {
         }
         // Make editor read-only
         const editorEl = document.querySelector('.editor');
-        if (editorEl) {
+        if (editorEl && isReadOnly) {
           editorEl.style.cursor = 'default';
         }
       } else {
@@ -398,8 +1299,9 @@ async function openDocument(id, name) {
         if (saveBtn) {
           saveBtn.style.display = 'inline-block';
         }
+        // Only owners can share
         if (shareBtn) {
-          shareBtn.style.display = 'inline-block';
+          shareBtn.style.display = userRole === 'owner' ? 'inline-block' : 'none';
         }
         if (historyBtn) {
           historyBtn.style.display = 'inline-block';
@@ -408,13 +1310,11 @@ async function openDocument(id, name) {
         setupMenuBar();
       }
 
-      if (initialContent) {
-          state.provider.on('sync', (isSynced) => {
-              if (isSynced && ydoc.getText('default').length === 0 && initialContent) {
-                 state.editor.commands.setContent(initialContent);
-              }
-          });
-      }
+      // No client-side seeding: the server loads the persisted Yjs state
+      // (or seeds it from the stored file) before the first sync
+
+      loadComments();
+      renderSuggestions();
 
       // Make the entire editor container clickable to focus (only for non-readers)
       if (!isReadOnly) {
@@ -429,6 +1329,65 @@ async function openDocument(id, name) {
   }, 100);
 }
 
+// Presence bar - one avatar per user with the document open, built from the
+// awareness states of all open editors (a user with several tabs is idle only
+// if all of them are)
+function renderPresence() {
+  const bar = document.getElementById('collaborators');
+  const awareness = state.provider?.awareness;
+  if (!bar || !awareness) return;
+  
+  const users = new Map();
+  awareness.getStates().forEach((clientState, clientId) => {
+    const user = clientState.user;
+    if (!user?.name) return;
+    const key = user.id ?? `client-${clientId}`;
+    const seen = users.get(key);
+    users.set(key, {
+      ...(seen || user),
+      idle: seen ? seen.idle && !!user.idle : !!user.idle,
+      self: seen?.self || clientId === awareness.clientID,
+    });
+  });
+  
+  bar.innerHTML = '';
+  users.forEach(user => {
+    const avatar = document.createElement('span');
+    avatar.className = 'presence-avatar';
+    avatar.classList.toggle('idle', user.idle);
+    avatar.classList.toggle('viewing', !!user.viewing);
+    avatar.style.backgroundColor = user.color || '#8ab4f8';
+    avatar.textContent = user.name.charAt(0).toUpperCase();
+    const status = [user.viewing ? 'viewing' : 'editing', user.idle ? 'idle' : null, user.self ? 'you' : null];
+    avatar.title = `${user.name} (${status.filter(Boolean).join(', ')})`;
+    bar.appendChild(avatar);
+  });
+}
+
+// Idle state for the presence bar - no input for IDLE_AFTER_MS, or the tab
+// is in the background
+const IDLE_AFTER_MS = 60 * 1000;
+let idleTimer = null;
+
+function setIdle(idle) {
+  const awareness = state.provider?.awareness;
+  const user = awareness?.getLocalState()?.user;
+  if (!user || user.idle === idle) return;
+  awareness.setLocalStateField('user', { ...user, idle });
+}
+
+function markActive() {
+  if (document.hidden) return setIdle(true);
+  setIdle(false);
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => setIdle(true), IDLE_AFTER_MS);
+}
+
+['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'].forEach(event => {
+  document.addEventListener(event, markActive, { passive: true });
+});
+document.addEventListener('visibilitychange', markActive);
+
 // Menu Bar Setup
 function setupMenuBar() {
   document.querySelectorAll('.menu-btn').forEach(btn => {
@@ -545,45 +1504,278 @@ function updateMenuBarState() {
   });
 }
 
-// Debounce helper
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
-
 document.getElementById('back-btn').addEventListener('click', () => {
   initDashboard();
 });
 
-document.getElementById('save-btn').addEventListener('click', async () => {
+document.getElementById('save-btn').addEventListener('click', () => {
   if (state.editor && state.currentDoc) {
-    if (state.currentDocRole === 'reader') {
+    if (!canEdit(state.currentDocRole)) {
       showAlert('You do not have permission to edit this document', 'error');
       return;
     }
-    const content = state.editor.getHTML();
+    document.getElementById('save-modal').classList.remove('hidden');
+    document.getElementById('save-message').focus();
+  }
+});
+
+document.querySelector('#save-modal .close').addEventListener('click', () => {
+    document.getElementById('save-modal').classList.add('hidden');
+});
+
+document.getElementById('confirm-save').addEventListener('click', async () => {
+    const messageInput = document.getElementById('save-message');
+    const nameInput = document.getElementById('save-version-name');
     try {
-      // Manual save - triggers immediate git commit
-      await api(`/documents/${state.currentDoc.id}/save-now`, 'POST', { content, userId: state.user.id });
-      showAlert('Document saved and committed', 'success');
+        // Manual save - server writes its current Yjs state and commits immediately
+        const result = await api(`/documents/${state.currentDoc.id}/save-now`, 'POST', {
+            message: messageInput.value,
+            name: nameInput.value
+        });
+        document.getElementById('save-modal').classList.add('hidden');
+        messageInput.value = '';
+        nameInput.value = '';
+        showAlert(result.version ? `Saved as version "${result.version.name}"` : 'Document saved and committed', 'success');
     } catch(err) {
-      showAlert('Save failed: ' + err.message, 'error');
+        showAlert('Save failed: ' + err.message, 'error');
+    }
+});
+
+// Sharing - the share modal is used for documents and folders. For documents
+// it also lists the people with access, whose roles can be changed or removed.
+function openShareModal(endpoint, title, docId = null) {
+    const modal = document.getElementById('share-modal');
+    modal.dataset.endpoint = endpoint;
+    modal.dataset.docId = docId || '';
+    modal.querySelector('h3').textContent = title;
+    document.getElementById('collaborators-section').classList.toggle('hidden', !docId);
+    document.getElementById('new-link').classList.add('hidden');
+    modal.classList.remove('hidden');
+    if (docId) {
+        loadCollaborators();
+        loadShareLinks();
+        loadRemote();
+    }
+}
+
+// Git remote - the document's repository is pushed to it after commits, and
+// commits pushed to it from elsewhere are merged into the document
+function renderRemote(remote) {
+    document.getElementById('remote-url').value = remote.shared ? '' : (remote.url || '');
+    document.getElementById('remote-branch').value = remote.shared ? '' : (remote.branch || '');
+    document.getElementById('sync-remote-btn').disabled = !remote.url;
+    document.getElementById('remove-remote-btn').disabled = !remote.url || remote.shared;
+    
+    let status = 'Not synced with a git remote';
+    if (remote.url) {
+        status = remote.shared
+            ? `Synced with the shared remote ${remote.url} (branch ${remote.branch})`
+            : `Synced with ${remote.url} (branch ${remote.branch})`;
+        if (remote.synced_at) status += `, last synced ${new Date(remote.synced_at).toLocaleString()}`;
+        if (remote.conflicts.length) status += `. Conflicting changes from the remote in ${remote.conflicts.join(', ')} were overwritten by the document's`;
+        if (remote.error) status += `. Last sync failed: ${remote.error}`;
+    }
+    document.getElementById('remote-status').textContent = status;
+}
+
+async function loadRemote() {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    try {
+        renderRemote(await api(`/documents/${docId}/remote`));
+    } catch (err) {
+        document.getElementById('remote-status').textContent = 'Could not load the git remote';
+    }
+}
+
+document.getElementById('save-remote-btn').addEventListener('click', async () => {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    const url = document.getElementById('remote-url').value.trim();
+    const branch = document.getElementById('remote-branch').value.trim();
+    if (!url) return;
+    if (url.includes('***@')) {
+        showAlert('Enter the full remote URL, including its password or token', 'error');
+        return;
+    }
+    try {
+        const remote = await api(`/documents/${docId}/remote`, 'PUT', { url, branch });
+        renderRemote(remote);
+        showAlert(remote.error ? 'Remote saved, but syncing failed' : 'Remote saved and synced', remote.error ? 'error' : 'success');
+    } catch (err) {
+        showAlert(err.message, 'error');
+    }
+});
+
+document.getElementById('sync-remote-btn').addEventListener('click', async () => {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    try {
+        const result = await api(`/documents/${docId}/remote/sync`, 'POST');
+        if (result.conflicts.length) {
+            showAlert('Synced - conflicting changes from the remote were overwritten by the document\'s', 'error');
+        } else {
+            showAlert(result.merged ? 'Synced - changes from the remote were merged' : 'Synced', 'success');
+        }
+    } catch (err) {
+        showAlert('Sync failed: ' + err.message, 'error');
+    }
+    loadRemote();
+});
+
+document.getElementById('remove-remote-btn').addEventListener('click', async () => {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    try {
+        renderRemote(await api(`/documents/${docId}/remote`, 'DELETE'));
+    } catch (err) {
+        showAlert(err.message, 'error');
+    }
+});
+
+// Share links - the URL is only known right after creating the link
+async function loadShareLinks() {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    const list = document.getElementById('link-list');
+    list.innerHTML = '';
+    try {
+        const links = await api(`/documents/${docId}/links`);
+        links.forEach(link => {
+            const li = document.createElement('li');
+            li.className = 'collaborator';
+            const details = [
+                link.expires_at ? `expires ${new Date(link.expires_at).toLocaleString()}` : 'never expires',
+                link.has_password ? 'password' : null,
+                link.allow_anonymous ? 'readable without account' : null
+            ].filter(Boolean).join(', ');
+            li.innerHTML = `
+                <div class="collaborator-info">
+                    <strong class="collaborator-role">${link.role}</strong>
+                    <span class="collaborator-note">(${details})</span>
+                </div>
+                <button class="delete-btn">Revoke</button>
+            `;
+            li.querySelector('.delete-btn').addEventListener('click', async () => {
+                try {
+                    await api(`/documents/${docId}/links/${link.id}`, 'DELETE');
+                    loadShareLinks();
+                } catch(err) {
+                    showAlert(err.message, 'error');
+                }
+            });
+            list.appendChild(li);
+        });
+    } catch(err) {
+        list.innerText = 'Error loading share links';
+    }
+}
+
+document.getElementById('create-link-btn').addEventListener('click', async () => {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    const days = Number(document.getElementById('link-expiry').value);
+    try {
+        const link = await api(`/documents/${docId}/links`, 'POST', {
+            role: document.getElementById('link-role').value,
+            expires_at: days ? Date.now() + days * 24 * 60 * 60 * 1000 : null,
+            password: document.getElementById('link-password').value || null,
+            allow_anonymous: document.getElementById('link-anonymous').checked
+        });
+        document.getElementById('link-password').value = '';
+        document.getElementById('new-link-url').value = `${location.origin}${location.pathname}?share=${link.token}`;
+        document.getElementById('new-link').classList.remove('hidden');
+        loadShareLinks();
+    } catch(err) {
+        showAlert(err.message, 'error');
+    }
+});
+
+document.getElementById('copy-link-btn').addEventListener('click', async () => {
+    const input = document.getElementById('new-link-url');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showAlert('Link copied', 'success');
+    } catch(err) {
+        input.select();
     }
-  }
 });
 
-// Sharing
 document.getElementById('share-btn').addEventListener('click', () => {
-    document.getElementById('share-modal').classList.remove('hidden');
+    openShareModal(`/documents/${state.currentDoc.id}/share`, 'Share Document', state.currentDoc.id);
 });
 
+async function loadCollaborators() {
+    const docId = document.getElementById('share-modal').dataset.docId;
+    const list = document.getElementById('collaborator-list');
+    list.innerHTML = 'Loading...';
+    try {
+        const collaborators = await api(`/documents/${docId}/permissions`);
+        list.innerHTML = '';
+        collaborators.forEach(collaborator => list.appendChild(createCollaboratorItem(docId, collaborator)));
+    } catch(err) {
+        list.innerText = 'Error loading collaborators';
+    }
+}
+
+function createCollaboratorItem(docId, collaborator) {
+    const li = document.createElement('li');
+    li.className = 'collaborator';
+    li.innerHTML = `
+        <div class="collaborator-info">
+            <strong class="collaborator-name"></strong>
+            <span class="collaborator-note"></span>
+        </div>
+        <div class="collaborator-actions"></div>
+    `;
+    li.querySelector('.collaborator-name').textContent = collaborator.username;
+    const actions = li.querySelector('.collaborator-actions');
+    
+    // Roles inherited from a folder can only be changed on the folder
+    const notes = [];
+    if (collaborator.is_owner) notes.push('document owner');
+    if (collaborator.inherited_role) notes.push(`${collaborator.inherited_role} via ${collaborator.inherited_from}`);
+    li.querySelector('.collaborator-note').textContent = notes.length ? `(${notes.join(', ')})` : '';
+    
+    if (collaborator.is_owner || !collaborator.direct_role) {
+        const role = document.createElement('span');
+        role.className = 'collaborator-role';
+        role.textContent = collaborator.role;
+        actions.appendChild(role);
+        return li;
+    }
+    
+    const select = document.createElement('select');
+    ['owner', 'writer', 'suggester', 'reader'].forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+        select.appendChild(option);
+    });
+    select.value = collaborator.direct_role;
+    select.addEventListener('change', async () => {
+        try {
+            await api(`/documents/${docId}/share`, 'POST', { username: collaborator.username, role: select.value });
+            showAlert(`${collaborator.username} is now ${select.value}`, 'success');
+        } catch(err) {
+            showAlert(err.message, 'error');
+        }
+        loadCollaborators();
+    });
+    actions.appendChild(select);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'delete-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+        const confirmed = await showConfirm('Remove Access', `Remove ${collaborator.username}'s access to this document?`);
+        if (!confirmed) return;
+        try {
+            await api(`/documents/${docId}/permissions/${collaborator.user_id}`, 'DELETE');
+            showAlert('Access removed', 'success');
+        } catch(err) {
+            showAlert(err.message, 'error');
+        }
+        loadCollaborators();
+    });
+    actions.appendChild(removeBtn);
+    return li;
+}
+
 document.querySelector('#share-modal .close').addEventListener('click', () => {
     document.getElementById('share-modal').classList.add('hidden');
 });
@@ -592,18 +1784,278 @@ document.getElementById('confirm-share').addEventListener('click', async () => {
     const username = document.getElementById('share-username').value;
     const role = document.getElementById('share-role').value;
     try {
-        await api(`/documents/${state.currentDoc.id}/share`, 'POST', { username, role });
-        document.getElementById('share-modal').classList.add('hidden');
+        const modal = document.getElementById('share-modal');
+        await api(modal.dataset.endpoint, 'POST', { username, role });
         document.getElementById('share-username').value = '';
-        showAlert('Document shared successfully', 'success');
+        showAlert('Shared successfully', 'success');
+        // Documents keep the modal open with the updated list of people
+        if (modal.dataset.docId) {
+            loadCollaborators();
+        } else {
+            modal.classList.add('hidden');
+        }
     } catch(err) {
         showAlert(err.message, 'error');
     }
 });
 
+// Suggestions
+document.getElementById('suggest-btn').addEventListener('click', () => {
+    state.suggesting = !state.suggesting;
+    updateSuggestButton();
+});
+
+function updateSuggestButton() {
+    const btn = document.getElementById('suggest-btn');
+    btn.textContent = state.suggesting ? 'Suggesting' : 'Editing';
+    btn.classList.toggle('active', state.suggesting);
+}
+
+document.getElementById('accept-all-btn').addEventListener('click', () => {
+    resolveSuggestions(collectSuggestions(state.editor.state.doc), true);
+});
+
+document.getElementById('reject-all-btn').addEventListener('click', () => {
+    resolveSuggestions(collectSuggestions(state.editor.state.doc), false);
+});
+
+function renderSuggestions() {
+    const list = document.getElementById('suggestion-list');
+    const section = document.getElementById('suggestions-section');
+    const suggestions = state.editor ? collectSuggestions(state.editor.state.doc) : [];
+    const canResolve = canEdit(state.currentDocRole);
+    list.innerHTML = '';
+    section.classList.toggle('hidden', suggestions.length === 0);
+    document.getElementById('suggestion-bulk-actions').classList.toggle('hidden', !canResolve);
+    
+    suggestions.forEach(suggestion => {
+        const li = document.createElement('li');
+        li.className = 'suggestion-item';
+        li.style.setProperty('--suggestion-color', suggestionColor(suggestion.userId));
+        
+        const meta = document.createElement('div');
+        meta.className = 'comment-meta';
+        meta.textContent = `${suggestion.author} ${suggestion.type === 'suggestionInsertion' ? 'added' : 'deleted'}`;
+        const text = document.createElement(suggestion.type === 'suggestionInsertion' ? 'ins' : 'del');
+        text.textContent = suggestion.text;
+        li.append(meta, text);
+        
+        // Writers decide; suggesters can withdraw their own suggestions
+        const actions = document.createElement('div');
+        actions.className = 'comment-actions';
+        if (canResolve) {
+            const acceptBtn = document.createElement('button');
+            acceptBtn.className = 'primary-btn';
+            acceptBtn.textContent = 'Accept';
+            acceptBtn.addEventListener('click', () => resolveSuggestions([suggestion], true));
+            actions.appendChild(acceptBtn);
+        }
+        if (canResolve || suggestion.userId === state.user.id) {
+            const rejectBtn = document.createElement('button');
+            rejectBtn.className = 'secondary-btn';
+            rejectBtn.textContent = canResolve ? 'Reject' : 'Withdraw';
+            rejectBtn.addEventListener('click', () => resolveSuggestions([suggestion], false));
+            actions.appendChild(rejectBtn);
+        }
+        li.appendChild(actions);
+        list.appendChild(li);
+    });
+}
+
+// Comments
+document.getElementById('comments-btn').addEventListener('click', () => {
+    document.getElementById('comments-panel').classList.toggle('hidden');
+    screens.editor.classList.toggle('with-comments');
+});
+
+document.getElementById('comments-show-resolved').addEventListener('change', renderComments);
+
+async function loadComments() {
+    if (!state.currentDoc) return;
+    try {
+        state.comments = await api(`/documents/${state.currentDoc.id}/comments`);
+    } catch(err) {
+        console.error('Failed to load comments', err);
+        return;
+    }
+    renderComments();
+    refreshCommentHighlights();
+}
+
+// Redraw the highlights (decorations are computed from state.comments)
+function refreshCommentHighlights() {
+    if (state.editor && !state.editor.isDestroyed) {
+        state.editor.view.dispatch(state.editor.state.tr.setMeta(commentHighlightsKey, true));
+    }
+}
+
+document.getElementById('add-comment-btn').addEventListener('click', async () => {
+    const textarea = document.getElementById('new-comment-text');
+    if (!state.editor || !textarea.value.trim()) return;
+    
+    const { from, to } = state.editor.state.selection;
+    if (from === to) {
+        showAlert('Select the text you want to comment on', 'info');
+        return;
+    }
+    
+    const anchor = getCommentAnchor(state.editor.state, from, to);
+    if (!anchor) return;
+    
+    try {
+        await api(`/documents/${state.currentDoc.id}/comments`, 'POST', {
+            body: textarea.value,
+            anchor,
+            quote: state.editor.state.doc.textBetween(from, to, ' ')
+        });
+        textarea.value = '';
+        loadComments();
+    } catch(err) {
+        showAlert('Comment failed: ' + err.message, 'error');
+    }
+});
+
+// Clicking highlighted text selects its thread
+document.querySelector('.editor').addEventListener('click', (e) => {
+    const highlight = e.target.closest('.comment-highlight');
+    if (!highlight) return;
+    document.getElementById('comments-panel').classList.remove('hidden');
+    screens.editor.classList.add('with-comments');
+    selectCommentThread(Number(highlight.dataset.commentId), false);
+});
+
+function selectCommentThread(id, scrollEditor = true) {
+    state.activeCommentId = id;
+    renderComments();
+    refreshCommentHighlights();
+    
+    const item = document.querySelector(`.comment-thread[data-id="${id}"]`);
+    if (item) item.scrollIntoView({ block: 'nearest' });
+    
+    const thread = state.comments.find(c => c.id === id);
+    const range = thread && state.editor ? resolveCommentRange(state.editor.state, thread.anchor) : null;
+    if (range && scrollEditor) {
+        state.editor.chain().setTextSelection(range).scrollIntoView().run();
+    }
+}
+
+function formatCommentDate(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// One comment (thread start or reply). Comment text is user input, so it is set as text.
+function createCommentElement(comment) {
+    const el = document.createElement('div');
+    el.className = 'comment';
+    const meta = document.createElement('div');
+    meta.className = 'comment-meta';
+    meta.textContent = `${comment.author} · ${formatCommentDate(comment.created_at)}`;
+    const body = document.createElement('div');
+    body.className = 'comment-body';
+    body.textContent = comment.body;
+    el.append(meta, body);
+    return el;
+}
+
+function renderComments() {
+    const list = document.getElementById('comment-threads');
+    const showResolved = document.getElementById('comments-show-resolved').checked;
+    const threads = state.comments.filter(thread => showResolved || !thread.resolved);
+    list.innerHTML = '';
+    
+    if (threads.length === 0) {
+        list.innerHTML = '<li class="comments-empty">No comments</li>';
+        return;
+    }
+    
+    threads.forEach(thread => {
+        const li = document.createElement('li');
+        li.className = 'comment-thread';
+        li.dataset.id = thread.id;
+        li.classList.toggle('resolved', thread.resolved);
+        li.classList.toggle('active', thread.id === state.activeCommentId);
+        
+        const quote = document.createElement('blockquote');
+        quote.className = 'comment-quote';
+        const attached = state.editor && resolveCommentRange(state.editor.state, thread.anchor);
+        quote.textContent = attached ? thread.quote : `${thread.quote || ''} (text removed)`;
+        quote.addEventListener('click', () => selectCommentThread(thread.id));
+        li.appendChild(quote);
+        
+        li.appendChild(createCommentElement(thread));
+        thread.replies.forEach(reply => {
+            const replyEl = createCommentElement(reply);
+            replyEl.classList.add('comment-reply');
+            li.appendChild(replyEl);
+        });
+        
+        if (thread.resolved) {
+            const status = document.createElement('div');
+            status.className = 'comment-meta';
+            status.textContent = `Resolved by ${thread.resolved_by}`;
+            li.appendChild(status);
+        }
+        
+        const replyInput = document.createElement('textarea');
+        replyInput.className = 'comment-reply-input';
+        replyInput.placeholder = 'Reply...';
+        
+        const actions = document.createElement('div');
+        actions.className = 'comment-actions';
+        actions.innerHTML = `
+            <button class="reply-btn primary-btn">Reply</button>
+            <button class="resolve-btn secondary-btn">${thread.resolved ? 'Reopen' : 'Resolve'}</button>
+            ${thread.user_id === state.user.id || state.currentDocRole === 'owner' ? '<button class="delete-comment-btn secondary-btn">Delete</button>' : ''}
+        `;
+        
+        actions.querySelector('.reply-btn').addEventListener('click', async () => {
+            if (!replyInput.value.trim()) return;
+            try {
+                await api(`/documents/${state.currentDoc.id}/comments/${thread.id}/replies`, 'POST', { body: replyInput.value });
+                loadComments();
+            } catch(err) {
+                showAlert('Reply failed: ' + err.message, 'error');
+            }
+        });
+        
+        actions.querySelector('.resolve-btn').addEventListener('click', async () => {
+            try {
+                await api(`/documents/${state.currentDoc.id}/comments/${thread.id}`, 'PATCH', { resolved: !thread.resolved });
+                loadComments();
+            } catch(err) {
+                showAlert(err.message, 'error');
+            }
+        });
+        
+        const deleteBtn = actions.querySelector('.delete-comment-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', async () => {
+                const confirmed = await showConfirm('Delete Comment', 'Delete this comment thread and all of its replies?');
+                if (!confirmed) return;
+                try {
+                    await api(`/documents/${state.currentDoc.id}/comments/${thread.id}`, 'DELETE');
+                    loadComments();
+                } catch(err) {
+                    showAlert(err.message, 'error');
+                }
+            });
+        }
+        
+        li.append(replyInput, actions);
+        list.appendChild(li);
+    });
+}
+
 // History / Rollback
 document.getElementById('history-btn').addEventListener('click', async () => {
     document.getElementById('history-modal').classList.remove('hidden');
+    showHistoryList();
+    clearHistorySearch();
     const list = document.getElementById('history-list');
     list.innerHTML = 'Loading...';
     try {
@@ -615,8 +2067,9 @@ document.getElementById('history-btn').addEventListener('click', async () => {
             return;
         }
         
-        history.forEach(commit => {
+        history.forEach((commit, index) => {
             const li = document.createElement('li');
+            li.dataset.hash = commit.hash;
             // Format date nicely
             const date = new Date(commit.date);
             const formattedDate = date.toLocaleString('en-US', {
@@ -627,43 +2080,60 @@ document.getElementById('history-btn').addEventListener('click', async () => {
                 minute: '2-digit'
             });
             
+            // History is newest first - the parent is the next entry
+            const parent = history[index + 1];
+            
             li.innerHTML = `
                 <div class="history-item">
-                    <div class="history-date">${formattedDate}</div>
-                    <div class="history-message">${commit.message}</div>
-                    <button class="rollback-btn" data-hash="${commit.hash}">Rollback to this version</button>
+                    <label class="history-date">
+                        <input type="checkbox" class="history-select" data-hash="${commit.hash}" data-index="${index}">
+                        ${formattedDate}
+                    </label>
+                    <div class="history-versions"></div>
+                    <div class="history-message"></div>
+                    <div class="history-authors"></div>
+                    <div class="history-search-match hidden"></div>
+                    <div class="history-actions">
+                        <button class="preview-btn" data-hash="${commit.hash}">Preview</button>
+                        <button class="export-version-btn" data-hash="${commit.hash}">Export</button>
+                        ${parent ? `<button class="changes-btn" data-from="${parent.hash}" data-to="${commit.hash}">Show changes</button>` : ''}
+                        ${canEdit(state.currentDocRole) ? `<button class="rollback-btn" data-hash="${commit.hash}">Rollback to this version</button>` : ''}
+                    </div>
                 </div>
             `;
+            // Commit messages, usernames and version names are user input,
+            // so they are set as text
+            li.querySelector('.history-message').textContent = commit.message;
+            li.querySelector('.history-authors').textContent = `by ${commit.authors.join(', ')}`;
+            const versions = li.querySelector('.history-versions');
+            commit.versions.forEach(name => {
+                const badge = document.createElement('span');
+                badge.className = 'version-badge';
+                badge.textContent = name;
+                versions.appendChild(badge);
+            });
+            if (commit.versions.length > 0) li.classList.add('named-version');
             list.appendChild(li);
         });
         
+        applyHistoryFilter();
+        
+        document.querySelectorAll('.preview-btn').forEach(btn => {
+            btn.addEventListener('click', () => showPreview(btn.dataset.hash));
+        });
+        
+        document.querySelectorAll('.changes-btn').forEach(btn => {
+            btn.addEventListener('click', () => showDiff(btn.dataset.from, btn.dataset.to));
+        });
+        
         document.querySelectorAll('.rollback-btn').forEach(btn => {
+            btn.addEventListener('click', () => rollbackTo(btn.dataset.hash));
+        });
+        
+        document.querySelectorAll('.export-version-btn').forEach(btn => {
             btn.addEventListener('click', async () => {
-                const confirmed = await showConfirm(
-                    'Rollback Document', 
-                    'Are you sure you want to rollback to this version? This will restore the document to this state. You can undo this rollback later if needed.'
-                );
-                if(confirmed) {
-                    try {
-                        await api(`/documents/${state.currentDoc.id}/rollback`, 'POST', { hash: btn.dataset.hash });
-                        
-                        // Close the modal
-                        document.getElementById('history-modal').classList.add('hidden');
-                        
-                        // Fetch the rolled-back content from the server
-                        const res = await api(`/documents/${state.currentDoc.id}/content?userId=${state.user.id}`);
-                        const newContent = res.content || '';
-                        
-                        // Update the editor with the new content
-                        if (state.editor) {
-                            state.editor.commands.setContent(newContent);
-                        }
-                        
-                        showAlert('Document rolled back successfully', 'success');
-                    } catch(err) {
-                        showAlert('Rollback failed: ' + err.message, 'error');
-                    }
-                }
+                const format = await showPrompt('Export Version', 'Format:', { choices: EXPORT_CHOICES });
+                if (format) downloadExport(format, btn.dataset.hash);
             });
         });
     } catch(err) {
@@ -672,9 +2142,246 @@ document.getElementById('history-btn').addEventListener('click', async () => {
     }
 });
 
+// Export - the current document, or a version from the history, as a file.
+// The endpoint needs the session token, so the file is fetched and saved
+// through a temporary link.
+const EXPORT_CHOICES = [
+    { value: 'pdf', label: 'PDF' },
+    { value: 'docx', label: 'Word (.docx)' },
+    { value: 'html', label: 'HTML' },
+    { value: 'md', label: 'Markdown' },
+];
+
+async function downloadExport(format, hash = null) {
+    const params = new URLSearchParams({ format });
+    if (hash) params.set('hash', hash);
+    try {
+        const res = await fetch(`/api/documents/${state.currentDoc.id}/export?${params}`, {
+            headers: { 'Authorization': `Bearer ${state.token}` }
+        });
+        if (!res.ok) throw new Error(await res.text());
+        const disposition = res.headers.get('Content-Disposition') || '';
+        const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+        const plain = disposition.match(/filename="([^"]+)"/i);
+        const fileName = encoded ? decodeURIComponent(encoded[1]) : (plain ? plain[1] : `document.${format}`);
+        
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        showAlert('Export failed: ' + err.message, 'error');
+    }
+}
+
+document.getElementById('export-btn').addEventListener('click', () => {
+    document.getElementById('export-panel').classList.toggle('hidden');
+});
+
+document.querySelectorAll('#export-panel button').forEach(btn => {
+    btn.addEventListener('click', () => {
+        document.getElementById('export-panel').classList.add('hidden');
+        downloadExport(btn.dataset.format);
+    });
+});
+
 document.querySelector('#history-modal .close').addEventListener('click', () => {
     document.getElementById('history-modal').classList.add('hidden');
 });
 
+// Compare two selected versions, or one selected version with the current content
+document.getElementById('compare-btn').addEventListener('click', () => {
+    const selected = [...document.querySelectorAll('.history-select:checked')]
+        .sort((a, b) => b.dataset.index - a.dataset.index); // oldest first
+    if (selected.length === 1) {
+        showDiff(selected[0].dataset.hash, null);
+    } else if (selected.length === 2) {
+        showDiff(selected[0].dataset.hash, selected[1].dataset.hash);
+    } else {
+        showAlert('Select one version to compare with the current document, or two to compare with each other', 'info');
+    }
+});
+
+// Show only commits that were given a name and/or that match the history search
+function applyHistoryFilter() {
+    const namedOnly = document.getElementById('history-named-only').checked;
+    document.querySelectorAll('#history-list > li').forEach(li => {
+        const hidden = (namedOnly && !li.classList.contains('named-version')) ||
+            (state.historySearch && !state.historySearch.has(li.dataset.hash));
+        li.classList.toggle('hidden', !!hidden);
+    });
+}
+
+// History search - narrows the history list down to the commits where the
+// text was added or removed, each with an excerpt, and scrolls to the newest
+async function searchHistory() {
+    const text = document.getElementById('history-search-input').value;
+    const status = document.getElementById('history-search-status');
+    if (!text.trim()) {
+        clearHistorySearch();
+        return;
+    }
+    showHistoryList();
+    status.textContent = 'Searching...';
+    
+    try {
+        const results = await api(`/documents/${state.currentDoc.id}/history/search?q=${encodeURIComponent(text)}`);
+        state.historySearch = new Map(results.map(result => [result.hash, result]));
+        status.textContent = results.length === 0
+            ? 'Not found in the history'
+            : `${results.length} version${results.length === 1 ? '' : 's'} changed this text`;
+        
+        document.querySelectorAll('#history-list > li').forEach(li => {
+            const match = li.querySelector('.history-search-match');
+            const result = state.historySearch.get(li.dataset.hash);
+            if (!match) return;
+            match.classList.toggle('hidden', !result);
+            if (!result) return;
+            // The snippet is escaped by the server, the match in <mark>
+            match.innerHTML = `
+                <span class="search-change ${result.change}">${result.change === 'added' ? 'Added' : 'Removed'}</span>
+                <div class="search-snippet">${result.snippet}</div>
+            `;
+        });
+        applyHistoryFilter();
+        
+        const first = document.querySelector(`#history-list > li[data-hash="${results[0]?.hash}"]`);
+        if (first) first.scrollIntoView({ block: 'nearest' });
+    } catch(err) {
+        status.textContent = 'Search failed: ' + err.message;
+    }
+}
+
+function clearHistorySearch() {
+    state.historySearch = null;
+    document.getElementById('history-search-status').textContent = '';
+    document.querySelectorAll('.history-search-match').forEach(match => match.classList.add('hidden'));
+    applyHistoryFilter();
+}
+
+document.getElementById('history-search-btn').addEventListener('click', searchHistory);
+
+document.getElementById('history-search-input').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') searchHistory();
+});
+
+document.getElementById('history-search-input').addEventListener('search', () => {
+    if (!document.getElementById('history-search-input').value) clearHistorySearch();
+});
+
+document.getElementById('history-named-only').addEventListener('change', applyHistoryFilter);
+
+document.getElementById('history-diff-back').addEventListener('click', () => {
+    showHistoryList();
+});
+
+async function rollbackTo(hash) {
+    const confirmed = await showConfirm(
+        'Rollback Document', 
+        'Are you sure you want to rollback to this version? This will restore the document to this state. You can undo this rollback later if needed.'
+    );
+    if(confirmed) {
+        try {
+            await api(`/documents/${state.currentDoc.id}/rollback`, 'POST', { hash });
+            
+            // Close the modal - the restored content arrives through the Yjs sync
+            document.getElementById('history-modal').classList.add('hidden');
+            
+            showAlert('Document rolled back successfully', 'success');
+        } catch(err) {
+            showAlert('Rollback failed: ' + err.message, 'error');
+        }
+    }
+}
+
+document.getElementById('history-preview-back').addEventListener('click', () => {
+    showHistoryList();
+});
+
+document.getElementById('history-preview-restore').addEventListener('click', (e) => {
+    rollbackTo(e.currentTarget.dataset.hash);
+});
+
+function showHistoryList() {
+    if (state.previewEditor) {
+        state.previewEditor.destroy();
+        state.previewEditor = null;
+    }
+    document.getElementById('history-preview').classList.add('hidden');
+    document.getElementById('history-diff').classList.add('hidden');
+    document.getElementById('history-list').classList.remove('hidden');
+    document.getElementById('history-toolbar').classList.remove('hidden');
+    document.getElementById('history-search').classList.remove('hidden');
+}
+
+// Render a historical version in a read-only editor (nothing is restored)
+async function showPreview(hash) {
+    const previewEl = document.getElementById('history-preview');
+    const contentEl = document.getElementById('history-preview-content');
+    const restoreBtn = document.getElementById('history-preview-restore');
+    document.getElementById('history-list').classList.add('hidden');
+    document.getElementById('history-toolbar').classList.add('hidden');
+    document.getElementById('history-search').classList.add('hidden');
+    previewEl.classList.remove('hidden');
+    restoreBtn.dataset.hash = hash;
+    restoreBtn.style.display = canEdit(state.currentDocRole) ? 'inline-block' : 'none';
+    document.getElementById('history-preview-title').textContent = hash.substring(0, 7);
+    contentEl.textContent = 'Loading...';
+    
+    try {
+        const version = await api(`/documents/${state.currentDoc.id}/versions/${hash}`);
+        document.getElementById('history-preview-title').textContent =
+            `${hash.substring(0, 7)} - ${version.message}`;
+        contentEl.textContent = '';
+        state.previewEditor = new Editor({
+            element: contentEl,
+            editable: false,
+            extensions: [StarterKit],
+            content: version.html,
+        });
+    } catch(err) {
+        contentEl.textContent = 'Error loading version';
+        console.error(err);
+    }
+}
+
+// Render an inline diff: inserted text highlighted green, deleted text red
+async function showDiff(from, to) {
+    const diffEl = document.getElementById('history-diff');
+    const contentEl = document.getElementById('history-diff-content');
+    document.getElementById('history-list').classList.add('hidden');
+    document.getElementById('history-toolbar').classList.add('hidden');
+    document.getElementById('history-search').classList.add('hidden');
+    diffEl.classList.remove('hidden');
+    document.getElementById('history-diff-title').textContent =
+        `${from.substring(0, 7)} → ${to ? to.substring(0, 7) : 'current'}`;
+    contentEl.textContent = 'Loading...';
+    
+    try {
+        const query = `from=${encodeURIComponent(from)}${to ? `&to=${encodeURIComponent(to)}` : ''}`;
+        const { changes } = await api(`/documents/${state.currentDoc.id}/diff?${query}`);
+        contentEl.textContent = '';
+        
+        if (!changes.some(change => change.type !== 'equal')) {
+            contentEl.textContent = 'No changes between these versions';
+            return;
+        }
+        
+        changes.forEach(change => {
+            const tag = change.type === 'insert' ? 'ins' : change.type === 'delete' ? 'del' : 'span';
+            const el = document.createElement(tag);
+            el.textContent = change.value;
+            contentEl.appendChild(el);
+        });
+    } catch(err) {
+        contentEl.textContent = 'Error loading diff';
+        console.error(err);
+    }
+}
+
 // Start
 checkAuth();
@@ -0,0 +1,69 @@
+// Transactions on the shared connection: statements of concurrent requests
+// never end up inside them, and a failing transaction only rolls back itself
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collaboration-docs-db-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+const db = require('../db');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const values = async () => (await db.query('SELECT value FROM items ORDER BY id')).rows.map(row => row.value);
+
+describe('db.transaction', () => {
+  before(() => db.query('CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, value TEXT)'));
+
+  after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('commits and resolves to the result of the work', async () => {
+    const result = await db.transaction(async query => {
+      await query('INSERT INTO items (value) VALUES ($1)', ['a']);
+      return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.deepEqual(await values(), ['a']);
+  });
+
+  it('keeps other statements out of a running transaction', async () => {
+    await db.query('DELETE FROM items');
+    const failing = db.transaction(async query => {
+      await query('INSERT INTO items (value) VALUES ($1)', ['rolled back']);
+      await sleep(20);
+      throw new Error('fails');
+    });
+    const outside = db.query('INSERT INTO items (value) VALUES ($1)', ['outside']);
+    const succeeding = db.transaction(async query => {
+      await query('INSERT INTO items (value) VALUES ($1)', ['first']);
+      await sleep(20);
+      await query('INSERT INTO items (value) VALUES ($1)', ['second']);
+    });
+
+    await assert.rejects(failing, /fails/);
+    await outside;
+    await succeeding;
+    const result = await values();
+    assert.deepEqual(result.filter(value => value !== 'outside'), ['first', 'second']);
+    assert.ok(result.includes('outside'));
+  });
+
+  it('runs many concurrent transactions one at a time', async () => {
+    await db.query('DELETE FROM items');
+    await Promise.all(Array.from({ length: 20 }, (_, i) => db.transaction(async query => {
+      await query('INSERT INTO items (value) VALUES ($1)', [`${i}-start`]);
+      await sleep(1);
+      if (i % 4 === 0) throw new Error('rollback');
+      await query('INSERT INTO items (value) VALUES ($1)', [`${i}-end`]);
+    }).catch(() => {})));
+    const result = await values();
+    assert.equal(result.length, 30);
+    for (let i = 0; i < result.length; i += 2) {
+      assert.equal(result[i].replace('-start', ''), result[i + 1].replace('-end', ''));
+    }
+  });
+});
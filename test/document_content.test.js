@@ -0,0 +1,126 @@
+// Suggester updates: only adding or withdrawing their own suggestions leaves
+// the accepted content and other users' suggestions unchanged
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Y = require('yjs');
+const { setYDocContent, setYDocJSON, yDocToJSON, isOwnSuggestion } = require('../document_content');
+
+const SUGGESTER = { id: 2, username: 'suggester' };
+const suggestion = (type, userId = 2, author = userId === 2 ? 'suggester' : 'other') => ({ type, attrs: { userId, author } });
+const text = (value, marks) => ({ type: 'text', text: value, ...(marks ? { marks } : {}) });
+const paragraph = (...content) => ({ type: 'paragraph', content });
+const doc = (...content) => ({ type: 'doc', content });
+
+// The server's document with `content` (Markdown or JSON), and a client's
+// update turning it into `json`
+function updateFor(content, json) {
+  const server = new Y.Doc();
+  if (typeof content === 'string') setYDocContent(server, content);
+  else setYDocJSON(server, content);
+  const client = new Y.Doc();
+  Y.applyUpdate(client, Y.encodeStateAsUpdate(server));
+  const stateVector = Y.encodeStateVector(client);
+  setYDocJSON(client, json);
+  return { server, update: Y.encodeStateAsUpdate(client, stateVector) };
+}
+
+function changes(content, json) {
+  const { server, update } = updateFor(content, json);
+  return !isOwnSuggestion(server, update, SUGGESTER);
+}
+
+describe('isOwnSuggestion', () => {
+  it('accepts suggested insertions', () => {
+    assert.equal(changes('hello world', doc(paragraph(
+      text('hello '), text('big ', [suggestion('suggestionInsertion')]), text('world'),
+    ))), false);
+  });
+
+  it('accepts suggested deletions', () => {
+    assert.equal(changes('hello world', doc(paragraph(
+      text('hello '), text('world', [suggestion('suggestionDeletion')]),
+    ))), false);
+  });
+
+  it('accepts withdrawing a suggestion', () => {
+    const { server, update } = updateFor('hello world', doc(paragraph(
+      text('hello '), text('big ', [suggestion('suggestionInsertion')]), text('world'),
+    )));
+    Y.applyUpdate(server, update);
+    const client = new Y.Doc();
+    Y.applyUpdate(client, Y.encodeStateAsUpdate(server));
+    const stateVector = Y.encodeStateVector(client);
+    setYDocJSON(client, doc(paragraph(text('hello world'))));
+    assert.equal(isOwnSuggestion(server, Y.encodeStateAsUpdate(client, stateVector), SUGGESTER), true);
+    assert.equal(yDocToJSON(server).content[0].content.length, 3);
+  });
+
+  it('rejects text changes', () => {
+    assert.equal(changes('hello world', doc(paragraph(text('hello there')))), true);
+  });
+
+  it('rejects formatting', () => {
+    assert.equal(changes('hello world', doc(paragraph(text('hello world', [{ type: 'bold' }])))), true);
+  });
+
+  it('rejects turning a paragraph into a heading', () => {
+    assert.equal(changes('hello world', doc({
+      type: 'heading',
+      attrs: { level: 1 },
+      content: [text('hello world', [{ type: 'bold' }])],
+    })), true);
+  });
+
+  it('rejects splitting and joining paragraphs', () => {
+    assert.equal(changes('hello world', doc(paragraph(text('hello ')), paragraph(text('world')))), true);
+    assert.equal(changes('hello\n\nworld', doc(paragraph(text('helloworld')))), true);
+  });
+
+  it('rejects lists', () => {
+    assert.equal(changes('hello world', doc({
+      type: 'bulletList',
+      content: [{ type: 'listItem', content: [paragraph(text('hello world'))] }],
+    })), true);
+  });
+
+  it('rejects suggestions attributed to someone else', () => {
+    for (const mark of [suggestion('suggestionInsertion', 3), suggestion('suggestionInsertion', 2, 'other'), suggestion('suggestionDeletion', null)]) {
+      assert.equal(changes('hello world', doc(paragraph(
+        text('hello '), text('big ', [mark]), text('world'),
+      ))), true, JSON.stringify(mark));
+    }
+  });
+
+  describe('with another user\'s suggestions', () => {
+    const others = doc(paragraph(
+      text('hello '),
+      text('big ', [suggestion('suggestionInsertion', 3)]),
+      text('world', [suggestion('suggestionDeletion', 3)]),
+    ));
+
+    it('rejects withdrawing them', () => {
+      assert.equal(changes(others, doc(paragraph(
+        text('hello '), text('world', [suggestion('suggestionDeletion', 3)]),
+      ))), true);
+      assert.equal(changes(others, doc(paragraph(
+        text('hello '), text('big ', [suggestion('suggestionInsertion', 3)]), text('world'),
+      ))), true);
+    });
+
+    it('rejects taking them over', () => {
+      assert.equal(changes(others, doc(paragraph(
+        text('hello '), text('big ', [suggestion('suggestionInsertion')]), text('world', [suggestion('suggestionDeletion', 3)]),
+      ))), true);
+    });
+
+    it('accepts suggesting around and inside them', () => {
+      assert.equal(changes(others, doc(paragraph(
+        text('hello ', [suggestion('suggestionDeletion')]),
+        text('b', [suggestion('suggestionInsertion', 3)]),
+        text('very ', [suggestion('suggestionInsertion')]),
+        text('ig ', [suggestion('suggestionInsertion', 3), suggestion('suggestionDeletion')]),
+        text('world', [suggestion('suggestionDeletion', 3)]),
+      ))), false);
+    });
+  });
+});
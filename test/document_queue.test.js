@@ -0,0 +1,150 @@
+// The per-document job queue: jobs of a key run one at a time in order, other
+// keys run side by side, failed jobs are retried; and atomic file writes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { enqueueJob, whenIdle, whenAllIdle, writeFileAtomic } = require('../document_queue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('enqueueJob', () => {
+  it('runs the jobs of a key in the order they were queued', async () => {
+    const order = [];
+    await Promise.all([30, 10, 0].map((ms, i) => enqueueJob('order', 'job', async () => {
+      await sleep(ms);
+      order.push(i);
+    })));
+    assert.deepEqual(order, [0, 1, 2]);
+  });
+
+  it('runs jobs of different keys side by side', async () => {
+    const order = [];
+    await Promise.all([
+      enqueueJob('slow', 'job', async () => { await sleep(30); order.push('slow'); }),
+      enqueueJob('fast', 'job', async () => { order.push('fast'); }),
+    ]);
+    assert.deepEqual(order, ['fast', 'slow']);
+  });
+
+  it('resolves to the job\'s result, and a failing job does not stop the next', async () => {
+    const failing = enqueueJob('results', 'job', async () => { throw new Error('fails'); });
+    const next = enqueueJob('results', 'job', async () => 'next');
+    await assert.rejects(failing, /fails/);
+    assert.equal(await next, 'next');
+  });
+
+  it('retries failing jobs before the next job runs', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const order = [];
+    let attempts = 0;
+    const flaky = enqueueJob('retry', 'flaky', async () => {
+      attempts++;
+      order.push(`attempt ${attempts}`);
+      if (attempts < 3) throw new Error('locked');
+      return 'done';
+    }, { retries: 3, retryDelayMs: 1 });
+    const next = enqueueJob('retry', 'next', async () => { order.push('next'); });
+    assert.equal(await flaky, 'done');
+    await next;
+    assert.deepEqual(order, ['attempt 1', 'attempt 2', 'attempt 3', 'next']);
+  });
+
+  it('rejects once the retries are used up, or when retryIf refuses', async t => {
+    t.mock.method(console, 'warn', () => {});
+    let attempts = 0;
+    await assert.rejects(enqueueJob('exhausted', 'job', async () => {
+      attempts++;
+      throw new Error('still locked');
+    }, { retries: 2, retryDelayMs: 1 }), /still locked/);
+    assert.equal(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(enqueueJob('refused', 'job', async () => {
+      attempts++;
+      throw new TypeError('a bug');
+    }, { retries: 2, retryDelayMs: 1, retryIf: err => !(err instanceof TypeError) }), TypeError);
+    assert.equal(attempts, 1);
+  });
+
+  it('never overlaps the jobs of a key under load', async () => {
+    const running = new Map();
+    const counts = new Map();
+    const jobs = [];
+    for (let i = 0; i < 200; i++) {
+      const key = `hammer-${i % 5}`;
+      jobs.push(enqueueJob(key, 'job', async () => {
+        assert.equal(running.get(key), undefined, `two jobs of ${key} at once`);
+        running.set(key, i);
+        await sleep(i % 3);
+        running.delete(key);
+        counts.set(key, (counts.get(key) || 0) + 1);
+        if (i % 7 === 0) throw new Error('fails');
+      }).catch(err => {
+        if (err.message !== 'fails') throw err;
+      }));
+    }
+    await Promise.all(jobs);
+    assert.deepEqual([...counts.values()], [40, 40, 40, 40, 40]);
+  });
+
+  it('whenIdle and whenAllIdle wait for the queued jobs, including ones queued by jobs', async () => {
+    const done = [];
+    enqueueJob('idle-a', 'job', async () => {
+      await sleep(10);
+      done.push('a');
+      enqueueJob('idle-b', 'job', async () => {
+        await sleep(10);
+        done.push('b');
+      });
+    });
+    await whenIdle('idle-a');
+    assert.deepEqual(done, ['a']);
+    await whenAllIdle();
+    assert.deepEqual(done, ['a', 'b']);
+  });
+});
+
+describe('writeFileAtomic', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collaboration-docs-queue-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('writes the content and leaves no temporary file', async () => {
+    const file = path.join(dir, 'document.md');
+    fs.writeFileSync(file, 'old');
+    await writeFileAtomic(file, 'new content');
+    assert.equal(fs.readFileSync(file, 'utf8'), 'new content');
+    assert.deepEqual(fs.readdirSync(dir), ['document.md']);
+  });
+
+  it('removes the temporary file when the write fails', async () => {
+    const target = path.join(dir, 'directory');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'inside'), '');
+    await assert.rejects(writeFileAtomic(target, 'content'));
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['directory', 'document.md']);
+  });
+
+  it('ends with one complete content when hammered concurrently', async () => {
+    const file = path.join(dir, 'hammered.md');
+    const contents = Array.from({ length: 50 }, (_, i) => `${i} `.repeat(2000 + i));
+    let reads = 0;
+    const reader = (async () => {
+      while (reads < 200) {
+        if (fs.existsSync(file)) assert.ok(contents.includes(fs.readFileSync(file, 'utf8')), 'partly written file');
+        reads++;
+        await sleep(0);
+      }
+    })();
+    await Promise.all(contents.map(content => writeFileAtomic(file, content)));
+    await reader;
+    assert.ok(contents.includes(fs.readFileSync(file, 'utf8')));
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+  });
+});
@@ -0,0 +1,43 @@
+// Export route: every format, and 400 for anything that is not one
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('GET /documents/:id/export', () => {
+  let server;
+  let token;
+  let docId;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.register('owner');
+    docId = (await server.api('POST', '/documents', { token, body: { name: 'Export' } })).body.id;
+    await server.api('POST', `/documents/${docId}/save`, { token, body: { content: '# Title\n\nSome **bold** text' } });
+  });
+
+  after(() => server.stop());
+
+  for (const [format, contentType] of Object.entries({
+    html: 'text/html',
+    md: 'text/markdown',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    pdf: 'application/pdf',
+  })) {
+    it(`exports ${format}`, async () => {
+      const res = await fetch(`${server.baseUrl}/api/documents/${docId}/export?format=${format}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(res.status, 200);
+      assert.ok(res.headers.get('content-type').startsWith(contentType), res.headers.get('content-type'));
+      assert.match(res.headers.get('content-disposition'), new RegExp(`Export\\.${format}`));
+    });
+  }
+
+  it('rejects unknown formats, including inherited object keys', async () => {
+    for (const format of ['txt', 'constructor', '__proto__', 'toString', 'hasOwnProperty', 'html&format=md']) {
+      const { status } = await server.api('GET', `/documents/${docId}/export?format=${format}`, { token });
+      assert.equal(status, 400, format);
+    }
+    assert.equal((await server.api('GET', `/documents/${docId}/export`, { token })).status, 400);
+  });
+});
@@ -0,0 +1,58 @@
+// Zip imports: archives whose headers understate their files' sizes are
+// rejected once the bytes actually decompressed exceed the limits
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { readImport } = require('../document_import');
+
+const MB = 1024 * 1024;
+
+// A zip of `files` ({ name: buffer }) whose headers claim every file holds
+// `claimedSize` bytes
+function forgedZip(files, claimedSize) {
+  const zip = new AdmZip();
+  for (const [name, data] of Object.entries(files)) zip.addFile(name, data);
+  const buffer = zip.toBuffer();
+  // Uncompressed size: offset 22 in local file headers, 24 in central directory headers
+  for (const [signature, offset] of [[0x04034b50, 22], [0x02014b50, 24]]) {
+    for (let i = 0; i <= buffer.length - 4; i++) {
+      if (buffer.readUInt32LE(i) === signature) buffer.writeUInt32LE(claimedSize, i + offset);
+    }
+  }
+  return buffer;
+}
+
+describe('readImport', () => {
+  it('imports the files of an archive', async () => {
+    const zip = new AdmZip();
+    zip.addFile('notes.md', Buffer.from('# Notes'));
+    zip.addFile('image.png', Buffer.from('not imported'));
+    const { documents, skipped } = await readImport('archive.zip', zip.toBuffer());
+    assert.deepEqual(documents.map(doc => doc.name), ['notes']);
+    assert.deepEqual(skipped.map(skip => skip.file), ['archive.zip/image.png']);
+  });
+
+  it('rejects a file that decompresses to more than its limit, whatever its header says', async () => {
+    const buffer = forgedZip({ 'small.md': Buffer.from('# Small'), 'bomb.txt': Buffer.alloc(21 * MB) }, 10);
+    const { documents, skipped } = await readImport('bomb.zip', buffer);
+    assert.deepEqual(documents, []);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0].file, 'bomb.zip');
+    assert.match(skipped[0].error, /^Archives may hold at most/);
+  });
+
+  it('rejects an archive that decompresses to more than the total limit', async () => {
+    const file = Buffer.alloc(18 * MB);
+    const buffer = forgedZip({ 'a.txt': file, 'b.txt': file, 'c.txt': file }, 10);
+    const { documents, skipped } = await readImport('bombs.zip', buffer);
+    assert.deepEqual(documents, []);
+    assert.deepEqual(skipped.map(skip => skip.file), ['bombs.zip']);
+  });
+
+  it('skips a file whose header claims more than it holds', async () => {
+    const buffer = forgedZip({ 'short.md': Buffer.from('# Short') }, 1000);
+    const { documents, skipped } = await readImport('short.zip', buffer);
+    assert.deepEqual(documents, []);
+    assert.deepEqual(skipped, [{ file: 'short.zip/short.md', error: 'Could not be extracted: The file is damaged' }]);
+  });
+});
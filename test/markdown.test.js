@@ -0,0 +1,54 @@
+// Markdown round trips: HTML -> JSON -> Markdown -> JSON gives the same
+// document, and the Markdown written for it is stable
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToJSON, jsonToHTML } = require('../document_content');
+const { jsonToMarkdown, markdownToJSON } = require('../markdown');
+
+const CASES = {
+  headings: '<h1>Title</h1><h2>Section</h2><h3>Sub <em>section</em></h3><p>Text</p>',
+  'inline marks': '<p><strong>bold</strong>, <em>italic</em>, <s>strike</s>, <u>underline</u> and <code>code</code></p>',
+  'nested marks': '<p><strong><em>both</em> bold</strong> <u><strong>under bold</strong></u></p>',
+  'nested lists': '<ul><li><p>one</p><ul><li><p>one.a</p><ol><li><p>deep</p></li></ol></li></ul></li><li><p>two</p></li></ul>',
+  'ordered list start': '<ol start="3"><li><p>three</p></li><li><p>four</p></li></ol>',
+  'code fence with backticks': '<pre><code class="language-js">const a = `x`;\n```\nnot a fence\n```</code></pre>',
+  'inline code with backticks': '<p>Run <code>a `b` c</code> now</p>',
+  escapes: '<p>*not em* _nor this_ # not heading 1. not a list [no link] &lt;b&gt; \\ back</p>',
+  'line-start characters': '<p>- dash</p><p>+ plus</p><p>&gt; quote</p><p>1) paren</p>',
+  'links with spaces': '<p><a href="https://example.com/a b (c)">spaced</a> and <a href="https://example.com" title="A &quot;title&quot;">titled</a></p>',
+  blockquotes: '<blockquote><p>quoted</p><blockquote><p>nested</p></blockquote></blockquote>',
+  'hard breaks and rules': '<p>line<br>break</p><hr><p>after</p>',
+  underline: '<p>a <u>b</u> c</p>',
+};
+
+describe('markdown round trip', () => {
+  for (const [name, html] of Object.entries(CASES)) {
+    it(name, () => {
+      const json = htmlToJSON(html);
+      const markdown = jsonToMarkdown(json);
+      const parsed = markdownToJSON(markdown);
+      assert.equal(jsonToHTML(parsed), jsonToHTML(json), `Markdown was:\n${markdown}`);
+      assert.equal(jsonToMarkdown(parsed), markdown);
+    });
+  }
+
+  // Markdown has no hard break at the end of a block or inside a heading
+  const roundTrip = html => jsonToHTML(markdownToJSON(jsonToMarkdown(htmlToJSON(html))));
+
+  it('drops hard breaks at the end of blocks instead of writing a backslash', () => {
+    assert.equal(roundTrip('<p>x<br></p><p>y</p>'), '<p>x</p><p>y</p>');
+    assert.equal(roundTrip('<p>x<br><br> </p>'), '<p>x</p>');
+    assert.equal(roundTrip('<p><strong>bold<br></strong></p>'), '<p><strong>bold</strong></p>');
+    assert.equal(roundTrip('<ul><li><p>item<br></p></li></ul>'), '<ul><li><p>item</p></li></ul>');
+    assert.equal(roundTrip('<p><br>x</p>'), '<p><br>x</p>');
+  });
+
+  it('turns hard breaks in headings into spaces', () => {
+    assert.equal(roundTrip('<h2>one<br>two<br></h2>'), '<h2>one two</h2>');
+    assert.equal(jsonToMarkdown(htmlToJSON('<h1>a<br>b</h1>')), '# a b\n');
+  });
+
+  it('keeps empty documents empty', () => {
+    assert.equal(jsonToMarkdown(markdownToJSON('')), '');
+  });
+});
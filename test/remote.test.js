@@ -0,0 +1,227 @@
+// Git remotes against local repositories: which URLs are accepted, that
+// commits fetched from a remote but not part of the history are never served,
+// and syncing (push, merge, conflicts) with a bare repository
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./server');
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'External',
+  GIT_AUTHOR_EMAIL: 'external@example.com',
+  GIT_COMMITTER_NAME: 'External',
+  GIT_COMMITTER_EMAIL: 'external@example.com',
+};
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, env: GIT_ENV, encoding: 'utf8' }).trim();
+}
+
+// A bare repository with one commit of its own (unrelated to any document)
+function createUnrelatedRepo(dir, name, content) {
+  const bare = path.join(dir, `${name}.git`);
+  const work = path.join(dir, name);
+  git(dir, 'init', '--quiet', '--bare', '-b', 'main', bare);
+  git(dir, 'clone', '--quiet', bare, work);
+  fs.writeFileSync(path.join(work, 'document.md'), content);
+  git(work, 'add', 'document.md');
+  git(work, 'commit', '--quiet', '-m', 'Unrelated');
+  git(work, 'push', '--quiet', 'origin', 'HEAD:main');
+  return { bare, hash: git(work, 'rev-parse', 'HEAD') };
+}
+
+describe('git remote restrictions', () => {
+  let server;
+  let repos;
+  let alice;
+  let bob;
+  let aliceDoc;
+  let bobDoc;
+
+  before(async () => {
+    repos = fs.mkdtempSync(path.join(os.tmpdir(), 'collaboration-docs-repos-'));
+    // Allows the whole temporary directory, which holds the server's storage too
+    server = await startServer({ GIT_REMOTE_LOCAL_PATHS: os.tmpdir() });
+    alice = await server.register('alice');
+    bob = await server.register('bob');
+    aliceDoc = (await server.api('POST', '/documents', { token: alice, body: { name: 'Private' } })).body.id;
+    await server.api('POST', `/documents/${aliceDoc}/save`, { token: alice, body: { content: 'alice secret' } });
+    await server.api('POST', `/documents/${aliceDoc}/save-now`, { token: alice, body: {} });
+    bobDoc = (await server.api('POST', '/documents', { token: bob, body: { name: 'Mine' } })).body.id;
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(repos, { recursive: true, force: true });
+  });
+
+  const setRemote = (url, branch = 'main') =>
+    server.api('PUT', `/documents/${bobDoc}/remote`, { token: bob, body: { url, branch } });
+
+  it('rejects other documents\' repositories, as paths and file:// URLs', async () => {
+    const aliceRepo = path.join(server.storagePath, `doc_${aliceDoc}`);
+    for (const url of [
+      aliceRepo,
+      `${aliceRepo}/.git`,
+      `${server.storagePath}/../storage/doc_${aliceDoc}`,
+      `file://${aliceRepo}`,
+      server.storagePath,
+    ]) {
+      assert.equal((await setRemote(url, 'master')).status, 400, url);
+    }
+  });
+
+  it('rejects local paths outside GIT_REMOTE_LOCAL_PATHS, and file:// URLs with a host', async () => {
+    assert.equal((await setRemote('/etc')).status, 400);
+    assert.equal((await setRemote('file://example.com/srv/repo.git')).status, 400);
+    assert.equal((await setRemote('ext::sh -c evil')).status, 400);
+  });
+
+  it('never serves commits that are not part of the document\'s history', async () => {
+    const { bare, hash } = createUnrelatedRepo(repos, 'unrelated', 'someone else\'s text');
+    const { status, body } = await setRemote(bare);
+    assert.equal(status, 200);
+    // The histories are unrelated, so nothing is merged - but it was fetched
+    assert.ok(body.error);
+    assert.ok(git(path.join(server.storagePath, `doc_${bobDoc}`), 'cat-file', '-t', hash));
+
+    for (const rev of [hash, hash.substring(0, 6)]) {
+      const requests = [
+        ['GET', `/documents/${bobDoc}/versions/${rev}`],
+        ['GET', `/documents/${bobDoc}/diff?from=${rev}`],
+        ['GET', `/documents/${bobDoc}/export?format=md&hash=${rev}`],
+        ['POST', `/documents/${bobDoc}/rollback`, { hash: rev }],
+        ['POST', `/documents/${bobDoc}/versions`, { name: `v-${rev}`, hash: rev }],
+      ];
+      for (const [method, url, body] of requests) {
+        const res = await server.api(method, url, { token: bob, body });
+        assert.equal(res.status, 404, `${method} ${url}: ${JSON.stringify(res.body)}`);
+      }
+    }
+    const content = await server.api('GET', `/documents/${bobDoc}/content`, { token: bob });
+    assert.doesNotMatch(content.body.content, /someone else/);
+  });
+
+  it('still serves the document\'s own commits', async () => {
+    const { body: history } = await server.api('GET', `/documents/${bobDoc}/history`, { token: bob });
+    const own = history[history.length - 1].hash;
+    assert.equal((await server.api('GET', `/documents/${bobDoc}/versions/${own.substring(0, 7)}`, { token: bob })).status, 200);
+    assert.equal((await server.api('GET', `/documents/${bobDoc}/diff?from=${own}`, { token: bob })).status, 200);
+  });
+});
+
+describe('git remote sync', () => {
+  let server;
+  let repos;
+  let carol;
+
+  before(async () => {
+    repos = fs.mkdtempSync(path.join(os.tmpdir(), 'collaboration-docs-repos-'));
+    server = await startServer({ GIT_REMOTE_LOCAL_PATHS: repos });
+    carol = await server.register('carol');
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(repos, { recursive: true, force: true });
+  });
+
+  async function createDocument(name, content) {
+    const id = (await server.api('POST', '/documents', { token: carol, body: { name } })).body.id;
+    await server.api('POST', `/documents/${id}/save`, { token: carol, body: { content } });
+    await server.api('POST', `/documents/${id}/save-now`, { token: carol, body: {} });
+    return id;
+  }
+
+  const content = async id => (await server.api('GET', `/documents/${id}/content`, { token: carol })).body.content;
+  const notifications = async () => (await server.api('GET', '/notifications', { token: carol })).body.notifications;
+
+  // Commit `change(text)` of document.md in the clone and push it
+  function pushChange(work, change) {
+    git(work, 'pull', '--quiet', 'origin', 'main');
+    const file = path.join(work, 'document.md');
+    fs.writeFileSync(file, change(fs.readFileSync(file, 'utf8')));
+    git(work, 'commit', '--quiet', '-am', 'External edit');
+    git(work, 'push', '--quiet', 'origin', 'HEAD:main');
+  }
+
+  describe('with a bare repository', () => {
+    let docId;
+    let bare;
+    let work;
+
+    before(async () => {
+      docId = await createDocument('Synced', 'first line\n\nsecond line');
+      bare = path.join(repos, 'synced.git');
+      work = path.join(repos, 'synced');
+      git(repos, 'init', '--quiet', '--bare', '-b', 'main', bare);
+    });
+
+    it('pushes the document\'s history when the remote is set', async () => {
+      const { status, body } = await server.api('PUT', `/documents/${docId}/remote`, { token: carol, body: { url: bare } });
+      assert.equal(status, 200);
+      assert.equal(body.error, null);
+      const head = git(path.join(server.storagePath, `doc_${docId}`), 'rev-parse', 'HEAD');
+      assert.equal(git(repos, 'ls-remote', bare, 'refs/heads/main').split('\t')[0], head);
+
+      git(repos, 'clone', '--quiet', bare, work);
+      assert.match(fs.readFileSync(path.join(work, 'document.md'), 'utf8'), /second line/);
+    });
+
+    it('merges external commits into the document', async () => {
+      pushChange(work, text => text.replace('second line', 'second line, edited outside'));
+      const { status, body } = await server.api('POST', `/documents/${docId}/remote/sync`, { token: carol });
+      assert.equal(status, 200);
+      assert.equal(body.merged, true);
+      assert.deepEqual(body.conflicts, []);
+      assert.match(await content(docId), /second line, edited outside/);
+      // A fast-forward, so the document's history now ends with the external commit
+      assert.equal(git(path.join(server.storagePath, `doc_${docId}`), 'log', '-1', '--format=%s'), 'External edit');
+    });
+
+    it('keeps the document\'s side of conflicts and tells the owner', async () => {
+      pushChange(work, text => text.replace('first line', 'first line from outside'));
+      // Not committed yet (a manual save would sync on its own): the sync commits it first
+      await server.api('POST', `/documents/${docId}/save`, { token: carol, body: { content: 'first line from the editor\n\nsecond line, edited outside' } });
+
+      const { status, body } = await server.api('POST', `/documents/${docId}/remote/sync`, { token: carol });
+      assert.equal(status, 200);
+      assert.equal(body.merged, true);
+      assert.deepEqual(body.conflicts, ['document.md']);
+      const text = await content(docId);
+      assert.match(text, /first line from the editor/);
+      assert.doesNotMatch(text, /from outside/);
+      assert.deepEqual((await server.api('GET', `/documents/${docId}/remote`, { token: carol })).body.conflicts, ['document.md']);
+
+      const [notification] = await notifications();
+      assert.equal(notification.type, 'remote-conflict');
+      assert.equal(notification.document_id, docId);
+      assert.deepEqual(notification.files, ['document.md']);
+
+      // The remote has the document's side now
+      git(work, 'pull', '--quiet', 'origin', 'main');
+      assert.match(fs.readFileSync(path.join(work, 'document.md'), 'utf8'), /first line from the editor/);
+    });
+  });
+
+  it('reports a remote branch with an unrelated history, once', async () => {
+    const docId = await createDocument('Unrelated', 'own text');
+    const { bare } = createUnrelatedRepo(repos, 'unrelated', 'someone else\'s text');
+    const { status, body } = await server.api('PUT', `/documents/${docId}/remote`, { token: carol, body: { url: bare } });
+    assert.equal(status, 200);
+    assert.match(body.error, /unrelated to the document's/);
+
+    const sync = await server.api('POST', `/documents/${docId}/remote/sync`, { token: carol });
+    assert.equal(sync.status, 502);
+    assert.match(sync.body.error, /unrelated to the document's/);
+
+    const reported = (await notifications()).filter(n => n.type === 'remote-error' && n.document_id === docId);
+    assert.equal(reported.length, 1);
+    assert.match(reported[0].error, /unrelated/);
+    assert.equal((await content(docId)).trim(), 'own text');
+  });
+});
@@ -0,0 +1,85 @@
+// Document routes by role: 401 without a session, 404 for unknown documents,
+// 403 below the route's role and 200 from it on
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('document routes by role', () => {
+  let server;
+  let tokens;
+  let docId;
+  let firstCommit;
+
+  before(async () => {
+    server = await startServer();
+    tokens = {
+      owner: await server.register('owner'),
+      writer: await server.register('writer'),
+      reader: await server.register('reader'),
+      stranger: await server.register('stranger'),
+    };
+    const { body: doc } = await server.api('POST', '/documents', { token: tokens.owner, body: { name: 'Roles' } });
+    docId = doc.id;
+    for (const role of ['writer', 'reader']) {
+      const { status } = await server.api('POST', `/documents/${docId}/share`, {
+        token: tokens.owner,
+        body: { username: role, role },
+      });
+      assert.equal(status, 200);
+    }
+    const { body: history } = await server.api('GET', `/documents/${docId}/history`, { token: tokens.owner });
+    firstCommit = history[history.length - 1].hash;
+  });
+
+  after(() => server.stop());
+
+  // Route, the role it needs, and the request body
+  const routes = [
+    { method: 'GET', path: id => `/documents/${id}/content`, role: 'reader' },
+    { method: 'GET', path: id => `/documents/${id}/history`, role: 'reader' },
+    { method: 'POST', path: id => `/documents/${id}/rollback`, role: 'writer', body: () => ({ hash: firstCommit }) },
+    { method: 'POST', path: id => `/documents/${id}/share`, role: 'owner', body: () => ({ username: 'stranger', role: 'reader' }) },
+  ];
+  const ROLE_ORDER = ['stranger', 'reader', 'writer', 'owner'];
+
+  for (const route of routes) {
+    describe(`${route.method} ${route.path(':id')}`, () => {
+      const request = (token, id = docId) => server.api(route.method, route.path(id), { token, body: route.body?.() });
+
+      it('requires a session', async () => {
+        assert.equal((await request(undefined)).status, 401);
+        assert.equal((await request('not-a-token')).status, 401);
+      });
+
+      it('returns 404 for unknown documents', async () => {
+        assert.equal((await request(tokens.owner, 999999)).status, 404);
+      });
+
+      for (const user of ROLE_ORDER) {
+        const allowed = ROLE_ORDER.indexOf(user) >= ROLE_ORDER.indexOf(route.role);
+        it(`${allowed ? 'allows' : 'forbids'} ${user}`, async () => {
+          const { status, body } = await request(tokens[user]);
+          assert.equal(status, allowed ? 200 : 403, JSON.stringify(body));
+        });
+      }
+    });
+  }
+
+  describe('DELETE /documents/:id', () => {
+    it('requires a session', async () => {
+      assert.equal((await server.api('DELETE', `/documents/${docId}`)).status, 401);
+    });
+
+    it('is only allowed to the owner', async () => {
+      for (const user of ['stranger', 'reader', 'writer']) {
+        assert.equal((await server.api('DELETE', `/documents/${docId}`, { token: tokens[user] })).status, 403, user);
+      }
+      assert.equal((await server.api('DELETE', `/documents/${docId}`, { token: tokens.owner })).status, 200);
+    });
+
+    it('leaves nothing to read', async () => {
+      assert.equal((await server.api('GET', `/documents/${docId}/content`, { token: tokens.owner })).status, 404);
+      assert.equal((await server.api('DELETE', `/documents/${docId}`, { token: tokens.owner })).status, 404);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// Saving through the document's job queue: concurrent saves, manual saves,
+// renames and duplicates all succeed, a refused move renames nothing, a failed
+// duplicate leaves nothing behind, and a commit that keeps failing fails the
+// manual save or rename instead of being ignored
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./server');
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+describe('saving', () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.register('saver');
+  });
+
+  after(() => server.stop());
+
+  const createDocument = async name => (await server.api('POST', '/documents', { token, body: { name } })).body.id;
+  const documentName = async id => (await server.api('GET', '/documents', { token })).body.find(doc => doc.id === id).name;
+  const repository = id => path.join(server.storagePath, `doc_${id}`);
+
+  it('handles concurrent saves, manual saves, renames and duplicates', async () => {
+    const id = await createDocument('Busy');
+    const requests = [];
+    for (let i = 0; i < 10; i++) {
+      requests.push(server.api('POST', `/documents/${id}/save`, { token, body: { content: `version ${i}` } }));
+      if (i % 2 === 0) requests.push(server.api('POST', `/documents/${id}/save-now`, { token, body: { message: `Manual ${i}` } }));
+      if (i % 3 === 0) requests.push(server.api('PATCH', `/documents/${id}`, { token, body: { name: `Busy ${i}` } }));
+      if (i === 5) requests.push(server.api('POST', `/documents/${id}/duplicate`, { token, body: { name: 'Copy' } }));
+    }
+    const responses = await Promise.all(requests);
+    for (const { status, body } of responses) assert.equal(status, 200, JSON.stringify(body));
+
+    const { body: saved } = await server.api('POST', `/documents/${id}/save-now`, { token, body: {} });
+    assert.equal(saved.success, true);
+    assert.equal(git(repository(id), 'status', '--porcelain'), '');
+    const { body: content } = await server.api('GET', `/documents/${id}/content`, { token });
+    assert.equal(git(repository(id), 'show', 'HEAD:document.md').trim(), content.content.trim());
+    assert.equal(git(repository(id), 'log', '--format=%s', '--grep=^Rename document').split('\n').length, 4);
+
+    const copy = responses.find(({ body }) => body.name === 'Copy').body;
+    assert.equal(git(repository(copy.id), 'status', '--porcelain'), '');
+    assert.match(git(repository(copy.id), 'log', '-1', '--format=%s'), /^Create document Copy as a copy of /);
+  });
+
+  it('leaves documents and folders unchanged when a move is refused', async () => {
+    const id = await createDocument('Staying');
+    const moved = await server.api('PATCH', `/documents/${id}`, { token, body: { name: 'Renamed', folder_id: 999999 } });
+    assert.equal(moved.status, 404);
+    assert.equal(await documentName(id), 'Staying');
+    assert.doesNotMatch(git(repository(id), 'log', '--format=%s'), /Rename/);
+
+    const folder = (await server.api('POST', '/folders', { token, body: { name: 'Folder' } })).body;
+    const child = (await server.api('POST', '/folders', { token, body: { name: 'Child', parent_id: folder.id } })).body;
+    for (const parentId of [999999, child.id]) {
+      const { status } = await server.api('PATCH', `/folders/${folder.id}`, { token, body: { name: 'Renamed', parent_id: parentId } });
+      assert.notEqual(status, 200);
+    }
+    const folders = (await server.api('GET', '/folders', { token })).body;
+    assert.equal(folders.find(f => f.id === folder.id).name, 'Folder');
+  });
+
+  it('leaves no document behind when duplicating fails', async () => {
+    const id = await createDocument('Broken');
+    fs.rmSync(path.join(repository(id), '.git', 'HEAD'));
+    const directories = fs.readdirSync(server.storagePath);
+    const { status } = await server.api('POST', `/documents/${id}/duplicate`, { token, body: { name: 'Broken copy' } });
+    assert.equal(status, 500);
+    const names = (await server.api('GET', '/documents', { token })).body.map(doc => doc.name);
+    assert.ok(!names.includes('Broken copy'));
+    assert.deepEqual(fs.readdirSync(server.storagePath), directories);
+  });
+
+  describe('when the commit keeps failing', () => {
+    let id;
+    let head;
+    let lock;
+
+    before(async () => {
+      id = await createDocument('Locked');
+      head = git(repository(id), 'rev-parse', 'HEAD');
+      // Left behind by a crashed git process: every commit fails, also on retry
+      lock = path.join(repository(id), '.git', 'index.lock');
+      fs.writeFileSync(lock, '');
+    });
+
+    after(() => fs.rmSync(lock, { force: true }));
+
+    it('fails manual saves, and records no version', async () => {
+      await server.api('POST', `/documents/${id}/save`, { token, body: { content: 'unsaved' } });
+      const { status } = await server.api('POST', `/documents/${id}/save-now`, { token, body: { name: 'v1' } });
+      assert.equal(status, 500);
+      assert.deepEqual((await server.api('GET', `/documents/${id}/versions`, { token })).body, []);
+      assert.equal(git(repository(id), 'rev-parse', 'HEAD'), head);
+    });
+
+    it('fails renames, and keeps the name', async () => {
+      const { status } = await server.api('PATCH', `/documents/${id}`, { token, body: { name: 'Renamed' } });
+      assert.equal(status, 500);
+      assert.equal(await documentName(id), 'Locked');
+      assert.equal(git(repository(id), 'rev-parse', 'HEAD'), head);
+    });
+
+    it('saves again once the lock is gone', async () => {
+      fs.rmSync(lock);
+      const { status, body } = await server.api('POST', `/documents/${id}/save-now`, { token, body: { name: 'v1' } });
+      assert.equal(status, 200);
+      assert.equal(body.version.commit_hash, body.commit);
+      assert.equal(git(repository(id), 'show', 'HEAD:document.md').trim(), 'unsaved');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Starts the server for route tests: a child process on a free port, with a
+// database and document storage in a temporary directory
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env = {}) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'collaboration-docs-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(dir, 'test.db'),
+      DOCUMENT_STORAGE_PATH: path.join(dir, 'storage'),
+      GIT_SYNC_INTERVAL_MS: '0',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const onData = data => {
+      output += data;
+      if (output.includes('Server running')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', data => { output += data; });
+    child.on('exit', code => reject(new Error(`Server exited with ${code}:\n${output}`)));
+  });
+
+  const baseUrl = `http://localhost:${port}`;
+
+  // { status, body } of an API request; body is parsed JSON, or text
+  async function api(method, url, { token, body } = {}) {
+    const res = await fetch(`${baseUrl}/api${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // Not JSON
+    }
+    return { status: res.status, body: parsed };
+  }
+
+  // Register a user, resolves to their session token
+  async function register(username) {
+    const { status, body } = await api('POST', '/register', { body: { username, password: 'password' } });
+    if (status !== 200) throw new Error(`Could not register ${username}: ${JSON.stringify(body)}`);
+    return body.token;
+  }
+
+  // Shut the server down like a deployment would (SIGTERM), keeping its
+  // files; resolves to the exit code
+  async function exit() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await exited;
+    }
+    return child.exitCode;
+  }
+
+  async function stop() {
+    await exit();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+
+  return {
+    api,
+    register,
+    exit,
+    stop,
+    baseUrl,
+    dir,
+    storagePath: path.join(dir, 'storage'),
+    output: () => output,
+  };
+}
+
+module.exports = { startServer };
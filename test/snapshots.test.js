@@ -0,0 +1,186 @@
+// When changes are committed: the snapshot policy (idle_ms, max_interval_ms,
+// max_changes) for autosaves, manual saves with their own message, history
+// compaction of old autosaves only, and the flush on shutdown
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./server');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function git(cwd, args, env = {}) {
+  return execFileSync('git', args, { cwd, env: { ...process.env, ...env }, encoding: 'utf8' }).trim();
+}
+
+async function setup(server) {
+  const token = await server.register('snapshotter');
+  const repository = id => path.join(server.storagePath, `doc_${id}`);
+  return {
+    token,
+    repository,
+    createDocument: async (name, policy) => {
+      const id = (await server.api('POST', '/documents', { token, body: { name } })).body.id;
+      if (policy) {
+        const { status } = await server.api('PUT', `/documents/${id}/snapshot-policy`, { token, body: policy });
+        assert.equal(status, 200);
+      }
+      return id;
+    },
+    save: (id, content) => server.api('POST', `/documents/${id}/save`, { token, body: { content } }),
+    commitCount: id => Number(git(repository(id), ['rev-list', '--count', 'HEAD'])),
+    lastMessage: id => git(repository(id), ['log', '-1', '--format=%B']),
+  };
+}
+
+// Resolves once `check()` is true, fails after `ms`
+async function waitFor(check, ms = 5000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out');
+    await sleep(50);
+  }
+}
+
+describe('snapshot policy', () => {
+  let server;
+  let t;
+
+  before(async () => {
+    server = await startServer();
+    t = await setup(server);
+  });
+
+  after(() => server.stop());
+
+  it('commits after idle_ms without writes, as an autosave', async () => {
+    const id = await t.createDocument('Idle', { idle_ms: 1000 });
+    const commits = t.commitCount(id);
+    const start = Date.now();
+    await t.save(id, 'first');
+    await sleep(300);
+    await t.save(id, 'second');
+    assert.equal(t.commitCount(id), commits);
+
+    await waitFor(() => t.commitCount(id) > commits);
+    assert.ok(Date.now() - start >= 1300, 'committed before idle_ms passed');
+    assert.equal(t.commitCount(id), commits + 1);
+    assert.match(t.lastMessage(id), /^Update document\n\nAutosave: true/);
+    assert.equal(git(t.repository(id), ['show', 'HEAD:document.md']), 'second');
+  });
+
+  it('commits once max_changes were made', async () => {
+    const id = await t.createDocument('Changes', { idle_ms: 60000, max_changes: 3 });
+    const commits = t.commitCount(id);
+    await t.save(id, 'one');
+    await t.save(id, 'two');
+    await sleep(300);
+    assert.equal(t.commitCount(id), commits);
+
+    await t.save(id, 'three');
+    await waitFor(() => t.commitCount(id) > commits);
+    assert.equal(git(t.repository(id), ['show', 'HEAD:document.md']), 'three');
+  });
+
+  it('commits once max_interval_ms passed since the first change', async () => {
+    const id = await t.createDocument('Interval', { idle_ms: 60000, max_interval_ms: 1000 });
+    const commits = t.commitCount(id);
+    await t.save(id, 'early');
+    await sleep(1100);
+    assert.equal(t.commitCount(id), commits);
+
+    await t.save(id, 'late');
+    await waitFor(() => t.commitCount(id) > commits);
+    assert.equal(git(t.repository(id), ['show', 'HEAD:document.md']), 'late');
+  });
+
+  it('gives manual saves their own message', async () => {
+    const id = await t.createDocument('Manual', { idle_ms: 60000 });
+    await t.save(id, 'saved by hand');
+    const { status } = await server.api('POST', `/documents/${id}/save-now`, { token: t.token, body: {} });
+    assert.equal(status, 200);
+    assert.equal(t.lastMessage(id), 'Save document');
+  });
+});
+
+describe('history compaction', () => {
+  let server;
+  let t;
+
+  before(async () => {
+    server = await startServer();
+    t = await setup(server);
+  });
+
+  after(() => server.stop());
+
+  // A commit of `content` made three days ago, at `time`
+  function commitAt(id, content, message, time) {
+    const date = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const env = {
+      GIT_AUTHOR_NAME: 'Editor',
+      GIT_AUTHOR_EMAIL: 'editor@example.com',
+      GIT_AUTHOR_DATE: `${date}T${time}Z`,
+      GIT_COMMITTER_DATE: `${date}T${time}Z`,
+    };
+    fs.writeFileSync(path.join(t.repository(id), 'document.md'), content);
+    git(t.repository(id), ['commit', '--quiet', '-am', message], env);
+  }
+
+  it('squashes old autosaves, and keeps manual saves without a message', async () => {
+    const id = await t.createDocument('Old');
+    const autosave = 'Update document\n\nAutosave: true';
+    commitAt(id, 'a', autosave, '10:00:00');
+    commitAt(id, 'b', autosave, '10:01:00');
+    // Saved by hand before autosaves had a trailer
+    commitAt(id, 'c', 'Update document', '10:02:00');
+    commitAt(id, 'd', autosave, '10:03:00');
+    commitAt(id, 'e', autosave, '10:04:00');
+    const before = t.commitCount(id);
+
+    const { status, body } = await server.api('POST', `/documents/${id}/compact`, { token: t.token, body: { days: 1 } });
+    assert.equal(status, 200);
+    assert.deepEqual(body, { removed: 2, commits: before - 2 });
+
+    const messages = git(t.repository(id), ['log', '--format=%B%x1e']).split('\x1e').map(message => message.trim()).filter(Boolean);
+    assert.equal(messages.filter(message => /^Compacted 2 autosave commits/m.test(message)).length, 2);
+    assert.ok(messages.every(message => !/^Compacted/m.test(message) || message.includes('Autosave: true')));
+    assert.ok(messages.includes('Update document'), 'the manual save was squashed');
+    assert.equal(git(t.repository(id), ['show', 'HEAD:document.md']), 'e');
+  });
+
+  it('leaves recent autosaves alone', async () => {
+    const id = await t.createDocument('Recent', { idle_ms: 1000 });
+    for (const content of ['one', 'two']) {
+      const commits = t.commitCount(id);
+      await t.save(id, content);
+      await waitFor(() => t.commitCount(id) > commits);
+    }
+    const { body } = await server.api('POST', `/documents/${id}/compact`, { token: t.token, body: { days: 1 } });
+    assert.equal(body.removed, 0);
+  });
+});
+
+describe('shutdown', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.stop());
+
+  it('commits pending changes before exiting', async () => {
+    const t = await setup(server);
+    const id = await t.createDocument('Pending', { idle_ms: 60000 });
+    const commits = t.commitCount(id);
+    await t.save(id, 'not committed yet');
+    assert.equal(t.commitCount(id), commits);
+
+    assert.equal(await server.exit(), 0);
+    assert.equal(t.commitCount(id), commits + 1);
+    assert.equal(git(t.repository(id), ['show', 'HEAD:document.md']), 'not committed yet');
+    assert.match(t.lastMessage(id), /Autosave: true/);
+  });
+});